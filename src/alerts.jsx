@@ -0,0 +1,370 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import React from 'react';
+import moment from "moment";
+import {
+    Alert, AlertActionCloseButton,
+    Button,
+    Checkbox,
+    FormSelect, FormSelectOption,
+    Modal, ModalVariant,
+    TextInput,
+} from '@patternfly/react-core';
+
+import { hostOptions } from "./hosts.js";
+
+const _ = cockpit.gettext;
+
+// shared by all users of the machine
+const RULES_FILE = "/etc/cockpit/metrics-alerts.json";
+// fired alerts which are kept in the browser
+const MAX_FIRED = 100;
+
+/* Values that rules can check, as measured by CurrentMetrics
+ * unit: of the rule's value
+ * resource: RESOURCES type on whose history column the alert is marked
+ * hasTarget: the rule names an instance, like the mount point of a file system
+ */
+export const ALERT_METRICS = {
+    cpu: { label: _("CPU usage"), unit: "%", resource: "use_cpu" },
+    memory: { label: _("Memory usage"), unit: "%", resource: "use_memory" },
+    swap_out: { label: _("Swap out"), unit: _("pages/s"), resource: "sat_memory" },
+    mount: { label: _("File system usage"), unit: "%", resource: "use_disks", hasTarget: true },
+};
+
+/* Alert rule:
+ * id: unique string
+ * metric: key of ALERT_METRICS; target: instance name for metrics with hasTarget
+ * op: ">" or "<"; value: number in the metric's unit
+ * duration: seconds that the condition needs to hold before the rule fires
+ * notify: also show a browser notification
+ */
+export const newRule = () => ({
+    id: Date.now().toString(36) + "-" + Math.floor(Math.random() * 1e6),
+    metric: "cpu",
+    target: "",
+    op: ">",
+    value: 90,
+    duration: 120,
+    notify: false,
+});
+
+// like "CPU usage above 90% for 2 minutes", worded like in the rules dialog
+export const ruleText = rule => {
+    const metric = ALERT_METRICS[rule.metric];
+    const subject = metric.hasTarget ? cockpit.format(_("$0 of $1"), metric.label, rule.target) : metric.label;
+    const limit = metric.unit === "%" ? cockpit.format(_("$0%"), rule.value) : cockpit.format(_("$0 $1"), rule.value, metric.unit);
+    const condition = cockpit.format(rule.op === "<" ? _("$0 below $1") : _("$0 above $1"), subject, limit);
+    if (!rule.duration)
+        return condition;
+    return cockpit.format(_("$0 for $1"), condition, moment.duration(rule.duration, "seconds").humanize());
+};
+
+// watch the rules on host; callback gets called with the list of rules initially and whenever someone changes them
+export function watchAlertRules(host, callback) {
+    const file = cockpit.file(RULES_FILE, { syntax: JSON, ...hostOptions(host) });
+    const watch = file.watch((content, tag, error) => {
+        if (error)
+            console.warn("Failed to read alert rules:", error.toString());
+        callback((content && Array.isArray(content.rules)) ? content.rules.filter(rule => ALERT_METRICS[rule.metric]) : []);
+    });
+    return {
+        remove: () => {
+            watch.remove();
+            file.close();
+        }
+    };
+}
+
+export function saveAlertRules(rules, host) {
+    return cockpit.file(RULES_FILE, { syntax: JSON, superuser: "try", ...hostOptions(host) }).replace({ rules });
+}
+
+const firedStorageKey = host => "metrics-alerts-fired:" + (host || cockpit.transport.host);
+
+/* Fired alerts, most recent first, stored per host
+ * { id, rule: rule id, time: timestamp, text, resource: RESOURCES type for the history marker }
+ */
+export function loadFiredAlerts(host) {
+    try {
+        return JSON.parse(window.localStorage.getItem(firedStorageKey(host))) || [];
+    } catch (ex) {
+        console.warn("Ignoring invalid stored alerts:", ex.toString());
+        return [];
+    }
+}
+
+export function saveFiredAlerts(alerts, host) {
+    window.localStorage.setItem(firedStorageKey(host), JSON.stringify(alerts.slice(0, MAX_FIRED)));
+}
+
+const seenStorageKey = host => "metrics-alerts-seen:" + (host || cockpit.transport.host);
+
+/* Alerts from elsewhere, like the pmie log, which are more recent than the ones seen before on host; remembers
+ * them as seen, so that dismissed alerts don't come back when reading them again
+ */
+export function unseenAlerts(alerts, host) {
+    const seen = Number(window.localStorage.getItem(seenStorageKey(host))) || 0;
+    const unseen = alerts.filter(alert => alert.time > seen);
+    if (unseen.length > 0)
+        window.localStorage.setItem(seenStorageKey(host), Math.max(...unseen.map(alert => alert.time)).toString());
+    return unseen;
+}
+
+// fired alerts with the added ones, most recent first
+export const mergeFiredAlerts = (alerts, added) => added
+        .filter(alert => !alerts.find(a => a.id === alert.id))
+        .concat(alerts)
+        .sort((a, b) => b.time - a.time);
+
+export function notifyAlert(alert) {
+    if (window.Notification && window.Notification.permission === "granted") {
+        const notification = new window.Notification(_("Metrics alert"), { body: alert.text, tag: alert.id });
+        // bring the page with the alert to the front
+        notification.onclick = () => {
+            window.focus();
+            notification.close();
+        };
+    }
+}
+
+/* Tracks how long the rules' conditions hold, for a stream of current values:
+ * { timestamp, cpu, memory (percent), swap_out (pages/s), mounts: { target → percent } }, with null for unknown values
+ */
+export class AlertEvaluator {
+    constructor() {
+        this.since = {}; // rule id → timestamp since when the condition holds
+        this.firing = new Set(); // rule ids which fired, until their condition stops holding
+    }
+
+    // returns list of fired alerts for the rules which start firing with these values
+    check(rules, values) {
+        const fired = [];
+        rules.forEach(rule => {
+            const value = ALERT_METRICS[rule.metric].hasTarget ? (values.mounts || {})[rule.target] : values[rule.metric];
+            const holds = typeof value === 'number' && (rule.op === "<" ? value < rule.value : value > rule.value);
+            if (!holds) {
+                delete this.since[rule.id];
+                this.firing.delete(rule.id);
+                return;
+            }
+
+            if (this.since[rule.id] === undefined)
+                this.since[rule.id] = values.timestamp;
+            if (!this.firing.has(rule.id) && values.timestamp - this.since[rule.id] >= rule.duration * 1000) {
+                this.firing.add(rule.id);
+                fired.push({
+                    id: rule.id + "-" + values.timestamp,
+                    rule: rule.id,
+                    time: values.timestamp,
+                    text: cockpit.format("$0 ($1)", ruleText(rule), Math.round(value)),
+                    resource: ALERT_METRICS[rule.metric].resource,
+                });
+            }
+        });
+        return fired;
+    }
+}
+
+/* Edit the alert rules of the machine
+ * onSave: called with the list of rules, returns a promise
+ */
+export class AlertRulesDialog extends React.Component {
+    constructor(props) {
+        super(props);
+        // rules with text field values
+        this.state = {
+            rules: props.rules.map(rule => ({ ...rule, value: rule.value.toString(), duration: rule.duration.toString() })),
+            error: null,
+        };
+        this.onSave = this.onSave.bind(this);
+    }
+
+    setField(index, key, value) {
+        this.setState(prevState => {
+            const rules = prevState.rules.slice();
+            rules[index] = { ...rules[index], [key]: value };
+            return { rules };
+        });
+    }
+
+    isValid(rule, key) {
+        if (key === "target")
+            return !ALERT_METRICS[rule.metric].hasTarget || rule.target.trim() !== "";
+        return rule[key].trim() !== "" && Number(rule[key]) >= 0;
+    }
+
+    onSave() {
+        const rules = this.state.rules.map(rule => ({
+            ...rule,
+            target: ALERT_METRICS[rule.metric].hasTarget ? rule.target.trim() : "",
+            value: Number(rule.value),
+            duration: Number(rule.duration),
+        }));
+
+        // ask for the permission when it is needed, as that's in response to a user action
+        if (rules.find(rule => rule.notify) && window.Notification && window.Notification.permission === "default")
+            window.Notification.requestPermission();
+
+        this.props.onSave(rules)
+                .catch(ex => this.setState({ error: ex.message || ex.toString() }));
+    }
+
+    render() {
+        const valid = this.state.rules.every(rule => ["target", "value", "duration"].every(key => this.isValid(rule, key)));
+
+        return (
+            <Modal
+                id="metrics-alert-rules-dialog"
+                variant={ModalVariant.large}
+                title={_("Alert rules")}
+                description={_("An alert fires when a current value stays beyond the limit for the given duration. The rules are shared by all users of this machine, changing them requires administrative access. They are checked as long as this page is open, also in a background tab.")}
+                isOpen
+                onClose={this.props.onClose}
+                actions={[
+                    <Button key="save" variant="primary" isDisabled={!valid} onClick={this.onSave}>{_("Save")}</Button>,
+                    <Button key="cancel" variant="link" onClick={this.props.onClose}>{_("Cancel")}</Button>,
+                ]}>
+                { this.state.error && <Alert variant="danger" isInline title={ cockpit.format(_("Failed to save the rules: $0"), this.state.error) } /> }
+                <table className="pf-c-table pf-m-compact metrics-alert-rules">
+                    <thead>
+                        <tr>
+                            <th>{_("Value")}</th>
+                            <th>{_("Mount point")}</th>
+                            <th>{_("Condition")}</th>
+                            <th>{_("Limit")}</th>
+                            <th>{_("Duration (s)")}</th>
+                            <th>{_("Notification")}</th>
+                            <th />
+                        </tr>
+                    </thead>
+                    <tbody>
+                        { this.state.rules.map((rule, i) => (
+                            <tr key={rule.id} id={ "alert-rule-" + i }>
+                                <td>
+                                    <FormSelect
+                                        id={ "alert-rule-" + i + "-metric" }
+                                        aria-label={_("Value")}
+                                        value={rule.metric}
+                                        onChange={metric => this.setField(i, "metric", metric)}>
+                                        { Object.keys(ALERT_METRICS).map(metric =>
+                                            <FormSelectOption key={metric} value={metric} label={ALERT_METRICS[metric].label} />) }
+                                    </FormSelect>
+                                </td>
+                                <td>
+                                    <TextInput
+                                        id={ "alert-rule-" + i + "-target" }
+                                        aria-label={_("Mount point")}
+                                        placeholder="/var"
+                                        isDisabled={!ALERT_METRICS[rule.metric].hasTarget}
+                                        value={rule.target}
+                                        validated={ this.isValid(rule, "target") ? "default" : "error" }
+                                        onChange={target => this.setField(i, "target", target)} />
+                                </td>
+                                <td>
+                                    <FormSelect
+                                        id={ "alert-rule-" + i + "-op" }
+                                        className="select-min"
+                                        aria-label={_("Condition")}
+                                        value={rule.op}
+                                        onChange={op => this.setField(i, "op", op)}>
+                                        <FormSelectOption value=">" label={_("above")} />
+                                        <FormSelectOption value="<" label={_("below")} />
+                                    </FormSelect>
+                                </td>
+                                <td>
+                                    <div className="metrics-alert-limit">
+                                        <TextInput
+                                            id={ "alert-rule-" + i + "-value" }
+                                            type="number"
+                                            min="0"
+                                            aria-label={_("Limit")}
+                                            value={rule.value}
+                                            validated={ this.isValid(rule, "value") ? "default" : "error" }
+                                            onChange={value => this.setField(i, "value", value)} />
+                                        <span>{ALERT_METRICS[rule.metric].unit}</span>
+                                    </div>
+                                </td>
+                                <td>
+                                    <TextInput
+                                        id={ "alert-rule-" + i + "-duration" }
+                                        type="number"
+                                        min="0"
+                                        aria-label={_("Duration (s)")}
+                                        value={rule.duration}
+                                        validated={ this.isValid(rule, "duration") ? "default" : "error" }
+                                        onChange={duration => this.setField(i, "duration", duration)} />
+                                </td>
+                                <td>
+                                    <Checkbox
+                                        id={ "alert-rule-" + i + "-notify" }
+                                        aria-label={_("Notification")}
+                                        isChecked={rule.notify}
+                                        onChange={notify => this.setField(i, "notify", notify)} />
+                                </td>
+                                <td>
+                                    <Button
+                                        variant="link"
+                                        isInline
+                                        className="alert-rule-remove"
+                                        onClick={() => this.setState(prevState => ({ rules: prevState.rules.filter((r, j) => j !== i) }))}>
+                                        {_("Remove")}
+                                    </Button>
+                                </td>
+                            </tr>)) }
+                    </tbody>
+                </table>
+                <Button
+                    id="metrics-alert-rule-add"
+                    variant="secondary"
+                    onClick={() => this.setState(prevState => ({ rules: prevState.rules.concat([{ ...newRule(), value: "90", duration: "120" }]) }))}>
+                    {_("Add rule")}
+                </Button>
+            </Modal>
+        );
+    }
+}
+
+/* Fired alerts, until they get dismissed
+ * onDismiss: called with an alert id, or null for all
+ */
+export const AlertsList = ({ alerts, rules, onDismiss, onEditRules }) => (
+    <section id="metrics-alerts" className="metrics-alerts" aria-label={_("Alerts")}>
+        <div className="metrics-alerts-toolbar">
+            <span>
+                { cockpit.format(cockpit.ngettext("$0 alert rule", "$0 alert rules", rules.length), rules.length) }
+            </span>
+            <Button id="metrics-alert-rules-button" variant="secondary" onClick={onEditRules}>{_("Alert rules")}</Button>
+            { alerts.length > 0 &&
+                <Button id="metrics-alerts-clear" variant="link" onClick={() => onDismiss(null)}>{_("Dismiss all")}</Button> }
+        </div>
+        { alerts.map(alert => (
+            <Alert
+                key={alert.id}
+                variant="warning"
+                isInline
+                data-rule={alert.rule}
+                title={alert.text}
+                actionClose={<AlertActionCloseButton onClose={() => onDismiss(alert.id)} />}>
+                <time>{ moment(alert.time).format("ddd YYYY-MM-DD LTS") }</time>
+            </Alert>)) }
+    </section>
+);
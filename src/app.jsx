@@ -22,48 +22,51 @@ import React from 'react';
 import moment from "moment";
 import { EmptyStatePanel } from "../lib/cockpit-components-empty-state.jsx";
 import {
-    Alert,
+    Alert, AlertActionLink,
     Breadcrumb, BreadcrumbItem,
     Button,
-    Card, CardTitle, CardBody, Gallery,
+    Card, CardTitle, CardBody, CardFooter, Gallery,
+    Dropdown, DropdownItem, DropdownToggle,
     DescriptionList, DescriptionListGroup, DescriptionListTerm, DescriptionListDescription,
+    ExpandableSection,
+    FormSelect, FormSelectOption,
     Page, PageSection,
     Progress, ProgressVariant,
-    Select, SelectOption,
+    TextInput,
     Tooltip,
 } from '@patternfly/react-core';
-import { Table, TableHeader, TableBody, TableGridBreakpoint, TableVariant, TableText, RowWrapper, cellWidth } from '@patternfly/react-table';
+import { Table, TableHeader, TableBody, TableGridBreakpoint, TableVariant, RowWrapper } from '@patternfly/react-table';
 import { ExclamationCircleIcon } from '@patternfly/react-icons';
 
-import * as machine_info from "../lib/machine-info.js";
+import { RangePicker } from "./range-picker.jsx";
+import * as exporter from "./export.js";
+import { ThresholdsDialog, loadThresholds, saveThresholds, loadAnomaly, saveAnomaly } from "./thresholds.jsx";
+import { ScalingDialog, loadScaling, saveScaling } from "./scaling.jsx";
+import { Sparkline } from "./sparkline.jsx";
+import { TopConsumersTable, TopConsumersPopover, CGROUP_TYPES, TOP_COUNTS } from "./top-consumers.jsx";
+import { DetailChart } from "./detail-chart.jsx";
+import { CompareSummary, COMPARE_OFFSETS, rangeStats } from "./compare.jsx";
+import { listHosts, hostInfo, hostOptions } from "./hosts.js";
+import { ArchiveDialog, archiveSpans, findArchive } from "./archive.jsx";
+import {
+    AlertEvaluator, AlertRulesDialog, AlertsList,
+    watchAlertRules, saveAlertRules, loadFiredAlerts, saveFiredAlerts, unseenAlerts, mergeFiredAlerts, notifyAlert,
+} from "./alerts.jsx";
+import { PmieRules } from "./pmie.jsx";
 
 const MSEC_PER_H = 3600000;
-const INTERVAL = 5000;
-const SAMPLES_PER_H = MSEC_PER_H / INTERVAL;
-const SAMPLES_PER_MIN = SAMPLES_PER_H / 60;
-const SVG_YMAX = (SAMPLES_PER_MIN - 1).toString();
+// history sampling resolutions in ms; rates are averaged over the interval, other values are sampled
+const INTERVALS = [1000, 5000, 60000, 600000];
+const DEFAULT_INTERVAL = 5000;
 const LOAD_HOURS = 12;
+// maximum number of history samples to keep in memory; hours far away from the visible ones get dropped beyond that
+const DATA_BUDGET = 100 * MSEC_PER_H / DEFAULT_INTERVAL;
+// px below the visible area in which the end of the history triggers loading earlier data
+const SCROLL_LOAD_MARGIN = 500;
 const _ = cockpit.gettext;
 
 moment.locale(cockpit.language);
 
-// keep track of maximum values for unbounded data, so that we can normalize it properly
-// pre-init them to avoid inflating noise
-var scaleSatCPU = 4;
-var scaleUseDisks = 10000; // KB/s
-var scaleUseNetwork = 100000; // B/s
-
-var numCpu = 1;
-var memTotal; // GiB
-var swapTotal; // GiB, can be undefined
-var machine_info_promise = machine_info.cpu_ram_info();
-machine_info_promise.then(info => {
-    numCpu = info.cpus;
-    memTotal = Number((info.memory / (1024 * 1024 * 1024)).toFixed(1));
-    if (info.swap)
-        swapTotal = Number((info.swap / (1024 * 1024 * 1024)).toFixed(1));
-});
-
 // round up to the nearest number that has all zeroes except for the first digit
 // avoids over-aggressive scaling, but needs scaling more often
 const scaleForValue = x => {
@@ -72,20 +75,90 @@ const scaleForValue = x => {
     return Math.ceil(x / scale) * scale;
 };
 
+// value in chart units → 0..1 relative to a scale { max, log }, see computeScales()
+const scaleValue = (value, { max, log }) => Math.min(log ? Math.log1p(value) / Math.log1p(max) : value / max, 1);
+
+// sum of all instance values of a per-instance metric (instance name → value)
+const sumInstances = instances => Object.values(instances).reduce((acc, cur) => acc + cur, 0);
+
+// sum of read and write rates of all devices (device name → [read, write])
+const sumDevices = devs => Object.values(devs).reduce((acc, [read, write]) => acc + read + write, 0);
+
+// name of the instance with the biggest increase between two per-instance samples
+const biggestIncrease = (prev, cur) => {
+    let result = null;
+    let max = 0;
+    for (const name in cur) {
+        const delta = cur[name] - ((prev && prev[name]) || 0);
+        if (delta > max) {
+            max = delta;
+            result = name;
+        }
+    }
+    return result;
+};
+
+// categories of CPU time, in the order of the use_cpu values; only the first three count as usage
+const CPU_CATEGORIES = [
+    { key: "nice", label: _("nice") },
+    { key: "user", label: _("user") },
+    { key: "sys", label: _("sys") },
+    { key: "iowait", label: _("iowait") },
+    { key: "steal", label: _("steal") },
+    { key: "irq", label: _("irq") },
+];
+
+// CPU time in ms/s per category → "category: percent" list, relative to the given number of CPUs;
+// categories without a value are skipped
+const formatCPU = (values, cpus) => values
+        .map((v, i) => typeof v === 'number' ? `${CPU_CATEGORIES[i].label}: ${Math.round(v / 10 / cpus)}%` : null)
+        .filter(text => text)
+        .join(", ");
+
+/* name: label in tooltips
+ * event_description: label for spike events
+ * normalize: (raw value, scale, info) → 0..1 for graphs; scale is only given for resources with "scale", info is
+ *            { cpus, memTotal } of the machine, see hostInfo()
+ * format: raw value → human readable string for tooltips
+ * columns: raw value → { column name (with unit) → number } for exporting
+ * split: optional { name, share: raw value → 0..1 } for a share of the utilization that gets drawn separately
+ * per_instance: raw value is an object instance name → value(s)
+ * event_instance: (previous, current raw value) → name of the instance which caused a spike
+ * chart: { value: (raw value, info) → number, format: number → string with unit, max: optional info → fixed maximum }
+ *        for detail charts
+ * scale: for unbounded resources which get scaled to the shown data, see computeScales():
+ *        { min: smallest maximum in chart units, to avoid inflating noise; unit, factor: for entering fixed maximums }
+ */
 const RESOURCES = {
     use_cpu: {
         name: _("CPU usage"),
         event_description: _("CPU spike"),
-        // all in msec/s
-        normalize: ([nice, user, sys]) => (nice + user + sys) / 1000 / numCpu,
-        format: ([nice, user, sys]) => `${_("nice")}: ${Math.round(nice / 10)}%, ${_("user")}: ${Math.round(user / 10)}%, ${_("sys")}: ${Math.round(sys / 10)}%`,
+        // all in msec/s, see CPU_CATEGORIES; iowait, steal, and irq may be null
+        normalize: ([nice, user, sys], scale, info) => (nice + user + sys) / 1000 / info.cpus,
+        format: values => formatCPU(values, 1),
+        chart: {
+            value: ([nice, user, sys], info) => (nice + user + sys) / 10 / info.cpus,
+            format: percent => cockpit.format("$0%", Math.round(percent)),
+            max: () => 100,
+        },
+        columns: values => {
+            const result = {};
+            CPU_CATEGORIES.forEach(({ key }, i) => {
+                if (typeof values[i] === 'number')
+                    result[`cpu.${key} [ms/s]`] = values[i];
+            });
+            return result;
+        },
     },
     sat_cpu: {
         name: _("Load"),
         event_description: _("Load spike"),
         // unitless, unbounded, dynamic scaling for normalization
-        normalize: load => Math.min(load, scaleSatCPU) / scaleSatCPU,
+        normalize: (load, scale) => scaleValue(load, scale),
         format: load => cockpit.format_number(load),
+        chart: { value: load => load, format: load => cockpit.format_number(load) },
+        columns: load => ({ "load.1min": load }),
+        scale: { min: 4, unit: "", factor: 1 },
     },
     use_memory: {
         name: _("Memory usage"),
@@ -93,6 +166,12 @@ const RESOURCES = {
         // assume used == total - available
         normalize: ([total, avail]) => 1 - (avail / total),
         format: ([total, avail]) => `${cockpit.format_bytes((total - avail) * 1024)} / ${cockpit.format_bytes(total * 1024)}`,
+        chart: {
+            value: ([total, avail]) => (total - avail) * 1024,
+            format: bytes => cockpit.format_bytes(bytes),
+            max: info => info.memTotal * 1024 * 1024 * 1024,
+        },
+        columns: ([total, avail]) => ({ "memory.total [KiB]": total, "memory.available [KiB]": avail }),
     },
     sat_memory: {
         name: _("Swap out"),
@@ -101,23 +180,130 @@ const RESOURCES = {
         // "a little" (< 1000 pages), and "a lot" (> 1000 pages)
         normalize: swapout => swapout > 1000 ? 1 : (swapout > 1 ? 0.3 : 0),
         format: swapout => cockpit.format(_("$0 pages"), Math.floor(swapout)),
+        chart: { value: swapout => swapout, format: swapout => cockpit.format(_("$0 pages/s"), Math.floor(swapout)) },
+        columns: swapout => ({ "swap.pagesout [pages/s]": swapout }),
     },
     use_disks: {
         name: _("Disk I/O"),
         event_description: _("Disk I/O spike"),
-        // kB/s, unbounded, dynamic scaling for normalization
-        normalize: kBps => kBps / scaleUseDisks,
-        format: kBps => cockpit.format_bytes_per_sec(kBps * 1024),
+        // device name → [read, write] kB/s, unbounded, dynamic scaling for normalization of the sum
+        normalize: (devs, scale) => scaleValue(sumDevices(devs) * 1024, scale),
+        format: devs => Object.keys(devs)
+                .map(dev => cockpit.format(_("$0: $1 read, $2 write"), dev,
+                                           cockpit.format_bytes_per_sec(devs[dev][0] * 1024),
+                                           cockpit.format_bytes_per_sec(devs[dev][1] * 1024)))
+                .join(", "),
+        chart: { value: devs => sumDevices(devs) * 1024, format: bps => cockpit.format_bytes_per_sec(bps) },
+        columns: devs => {
+            const result = {};
+            for (const dev in devs) {
+                result[`disk.${dev}.read [KiB/s]`] = devs[dev][0];
+                result[`disk.${dev}.write [KiB/s]`] = devs[dev][1];
+            }
+            return result;
+        },
+        // share of writes, drawn as part of the utilization
+        split: {
+            name: _("Write"),
+            share: devs => {
+                const total = sumDevices(devs);
+                return total > 0 ? Object.values(devs).reduce((acc, [read, write]) => acc + write, 0) / total : 0;
+            },
+        },
+        scale: { min: 10000 * 1024, unit: _("MB/s"), factor: 1000000 },
+        per_instance: true,
+        event_instance: (prev, cur) => {
+            const directions = devs => {
+                const result = {};
+                for (const dev in devs) {
+                    result[cockpit.format(_("$0 read"), dev)] = devs[dev][0];
+                    result[cockpit.format(_("$0 write"), dev)] = devs[dev][1];
+                }
+                return result;
+            };
+            return biggestIncrease(prev && directions(prev), directions(cur));
+        },
+    },
+    sat_disks: {
+        name: _("Disk queue"),
+        event_description: _("Disk queue spike"),
+        // device name → ms/s of queue time, i.e. 1000 × average queue length; unbounded, dynamic scaling for
+        // normalization of the sum
+        normalize: (devs, scale) => scaleValue(sumInstances(devs) / 1000, scale),
+        format: devs => Object.keys(devs)
+                .map(dev => cockpit.format(_("$0: $1 requests"), dev, cockpit.format_number(devs[dev] / 1000)))
+                .join(", "),
+        chart: { value: devs => sumInstances(devs) / 1000, format: queue => cockpit.format(_("$0 requests"), cockpit.format_number(queue)) },
+        columns: devs => {
+            const result = {};
+            for (const dev in devs)
+                result[`disk.${dev}.aveq [ms/s]`] = devs[dev];
+            return result;
+        },
+        scale: { min: 2, unit: _("requests"), factor: 1 },
+        per_instance: true,
+        event_instance: biggestIncrease,
     },
     use_network: {
         name: _("Network I/O"),
         event_description: _("Network I/O spike"),
-        // B/s, unbounded, dynamic scaling for normalization
-        normalize: bps => bps / scaleUseNetwork,
-        format: bps => cockpit.format_bytes_per_sec(bps),
+        // interface name → B/s, unbounded, dynamic scaling for normalization of the sum
+        normalize: (ifaces, scale) => scaleValue(sumInstances(ifaces), scale),
+        format: ifaces => Object.keys(ifaces)
+                .map(iface => `${iface}: ${cockpit.format_bytes_per_sec(ifaces[iface])}`)
+                .join(", "),
+        chart: { value: sumInstances, format: bps => cockpit.format_bytes_per_sec(bps) },
+        columns: ifaces => {
+            const result = {};
+            for (const iface in ifaces)
+                result[`network.${iface}.bytes [B/s]`] = ifaces[iface];
+            return result;
+        },
+        scale: { min: 100000, unit: _("Mbit/s"), factor: 125000 },
+        per_instance: true,
+        event_instance: biggestIncrease,
+    },
+    sat_network: {
+        name: _("Network errors"),
+        event_description: _("Network errors"),
+        // interface name → [errors, drops] per second; unbounded, and mostly 0; just categorize into "nothing"
+        // (most of the time), "a few" (< 10/s), and "a lot" (> 10/s)
+        normalize: ifaces => {
+            const total = Object.values(ifaces).reduce((acc, [errors, drops]) => acc + errors + drops, 0);
+            return total > 10 ? 1 : (total > 0 ? 0.3 : 0);
+        },
+        format: ifaces => Object.keys(ifaces)
+                .map(iface => cockpit.format(_("$0: $1 errors/s, $2 drops/s"), iface,
+                                             cockpit.format_number(ifaces[iface][0]), cockpit.format_number(ifaces[iface][1])))
+                .join(", "),
+        chart: {
+            value: ifaces => Object.values(ifaces).reduce((acc, [errors, drops]) => acc + errors + drops, 0),
+            format: rate => cockpit.format(_("$0/s"), cockpit.format_number(rate)),
+        },
+        columns: ifaces => {
+            const result = {};
+            for (const iface in ifaces) {
+                result[`network.${iface}.errors [1/s]`] = ifaces[iface][0];
+                result[`network.${iface}.drops [1/s]`] = ifaces[iface][1];
+            }
+            return result;
+        },
+        per_instance: true,
+        event_instance: (prev, cur) => {
+            const totals = ifaces => {
+                const result = {};
+                for (const iface in ifaces)
+                    result[iface] = ifaces[iface][0] + ifaces[iface][1];
+                return result;
+            };
+            return biggestIncrease(prev && totals(prev), totals(cur));
+        },
     },
 };
 
+// unbounded resources which get scaled to the shown data
+const SCALED_TYPES = Object.keys(RESOURCES).filter(type => RESOURCES[type].scale);
+
 const CURRENT_METRICS = [
     { name: "cpu.basic.user", derive: "rate" },
     { name: "cpu.basic.system", derive: "rate" },
@@ -130,8 +316,35 @@ const CURRENT_METRICS = [
     { name: "network.interface.tx", units: "bytes", derive: "rate" },
     { name: "cgroup.cpu.usage", derive: "rate" },
     { name: "cgroup.memory.usage" },
+    { name: "cpu.basic.iowait", derive: "rate" },
+    // per-core CPU usage
+    { name: "cpu.core.user", derive: "rate" },
+    { name: "cpu.core.system", derive: "rate" },
+    { name: "cpu.core.nice", derive: "rate" },
+];
+
+// not available from the internal metrics source; needs pmcd
+const CURRENT_PCP_METRICS = [
+    { name: "kernel.all.cpu.steal", derive: "rate" },
+    { name: "kernel.all.cpu.irq.hard", derive: "rate" },
+    { name: "kernel.all.cpu.irq.soft", derive: "rate" },
 ];
 
+// for alert rules, from pmcd as well
+const SWAP_PCP_METRICS = [
+    { name: "swap.pagesout", derive: "rate" },
+];
+
+// per-cgroup disk I/O, from pmcd as well (cgroup v2 only); there are no per-cgroup network metrics
+const CGROUP_IO_METRICS = [
+    { name: "cgroup.io.stat.rbytes", derive: "rate" },
+    { name: "cgroup.io.stat.wbytes", derive: "rate" },
+];
+
+const CURRENT_INTERVAL = 3000; // ms
+// time span of the sparklines in the current metrics cards
+const SPARKLINE_DURATION = 10 * 60000; // ms
+
 const HISTORY_METRICS = [
     // CPU utilization
     { name: "kernel.all.cpu.nice", derive: "rate" },
@@ -150,10 +363,31 @@ const HISTORY_METRICS = [
     { name: "swap.pagesout", derive: "rate" },
 
     // disk utilization
-    { name: "disk.all.total_bytes", derive: "rate" },
+    { name: "disk.dev.read_bytes", derive: "rate" },
+    { name: "disk.dev.write_bytes", derive: "rate" },
+
+    // disk saturation
+    { name: "disk.dev.aveq", derive: "rate" },
 
     // network utilization
     { name: "network.interface.total.bytes", derive: "rate", "omit-instances": ["lo"] },
+
+    // network saturation
+    { name: "network.interface.total.errors", derive: "rate", "omit-instances": ["lo"] },
+    { name: "network.interface.total.drops", derive: "rate", "omit-instances": ["lo"] },
+
+    // CPU time categories which don't count as utilization
+    { name: "kernel.all.cpu.wait.total", derive: "rate" },
+    { name: "kernel.all.cpu.steal", derive: "rate" },
+    { name: "kernel.all.cpu.irq.hard", derive: "rate" },
+    { name: "kernel.all.cpu.irq.soft", derive: "rate" },
+];
+
+// per-cgroup history, only available if pmlogger is configured to log these; not part of HISTORY_METRICS
+// so that missing cgroup metrics don't break the whole history
+const CGROUP_HISTORY_METRICS = [
+    { name: "cgroup.cpu.stat.usage", derive: "rate" },
+    { name: "cgroup.memory.current" },
 ];
 
 function debug() {
@@ -179,38 +413,78 @@ function decompress_samples(samples, state) {
     });
 }
 
+/* Current usage of a machine
+ * host: address of the machine, null for the local one
+ * summary: only show a compact card with the main values, for the dashboard of all hosts; label is its title, and
+ *     onSelect gets called for showing all metrics of the host
+ * onValues: called with the current values for alert rules after each update, see AlertEvaluator; with alerting, that
+ *     goes on while the page is hidden
+ */
 class CurrentMetrics extends React.Component {
     constructor(props) {
         super(props);
 
         this.metrics_channel = null;
         this.samples = [];
+        this.pcp_channels = [];
+        this.pcpSamples = [];
+        this.cgroupIONames = [];
+        this.cgroupIOSamples = [];
+        this.swapSamples = [];
+        this.timestamp = null; // of the next sample
         this.netInterfacesNames = [];
         this.cgroupCPUNames = [];
         this.cgroupMemoryNames = [];
+        this.cpuCoreNames = [];
+        this.mounts_timer = null;
+        this.load_timer = null;
+        this.unmounted = false;
 
         this.state = {
+            info: { cpus: 1 }, // { cpus, memTotal, swapTotal } of the host, see hostInfo()
+            error: null, // string, when the host cannot be reached
             memUsed: 0, // GiB
             swapUsed: null, // GiB
             cpuUsed: 0, // percentage
+            cpuCores: [], // percentage of each core, in the order of cpuCoreNames
+            isCpuCoresExpanded: false,
+            cpuIOWait: null, // ms/s
+            cpuSteal: null, // ms/s, null without pmcd
+            cpuIrq: null, // ms/s, null without pmcd
+            swapOut: null, // pages/s, null without pmcd
             loadAvg: null, // string
             disksRead: 0, // B/s
             disksWritten: 0, // B/s
             mounts: [], // [{ target (string), use (percent), avail (bytes) }]
             netInterfacesRx: [],
             netInterfacesTx: [],
-            topServicesCPU: [], // [ { name, percent } ]
-            topServicesMemory: [], // [ { name, bytes } ]
+            topCount: TOP_COUNTS[0], // rows in the top consumer tables
+            topType: "service", // kind of cgroups in the top consumer tables, key of CGROUP_TYPES
+            cgroupCPU: [], // [{ cgroup, values: [CPU usage] }]
+            cgroupMemory: [], // [{ cgroup, values: [bytes] }]
+            cgroupIO: [], // [{ cgroup, values: [read B/s, write B/s] }], empty without pmcd
+            recent: [], // [{ timestamp, type → raw value as in RESOURCES }] for the last SPARKLINE_DURATION
         };
 
         this.onVisibilityChange = this.onVisibilityChange.bind(this);
         this.onMetricsUpdate = this.onMetricsUpdate.bind(this);
+        this.onPcpMetricsUpdate = this.onPcpMetricsUpdate.bind(this);
+        this.onCgroupIOUpdate = this.onCgroupIOUpdate.bind(this);
+        this.onSwapUpdate = this.onSwapUpdate.bind(this);
+        this.reportValues = this.reportValues.bind(this);
         this.updateMounts = this.updateMounts.bind(this);
         this.updateLoad = this.updateLoad.bind(this);
 
+        hostInfo(props.host)
+                .then(info => !this.unmounted && this.setState({ info }))
+                .catch(() => !this.unmounted && this.setState({ error: _("Cannot connect to the machine") }));
+
         cockpit.addEventListener("visibilitychange", this.onVisibilityChange);
         this.onVisibilityChange();
 
+        if (props.summary)
+            return;
+
         // regularly update info about file systems
         this.updateMounts();
 
@@ -218,26 +492,76 @@ class CurrentMetrics extends React.Component {
         this.updateLoad();
     }
 
+    componentWillUnmount() {
+        this.unmounted = true;
+        cockpit.removeEventListener("visibilitychange", this.onVisibilityChange);
+        if (this.metrics_channel !== null) {
+            this.metrics_channel.removeEventListener("message", this.onMetricsUpdate);
+            this.metrics_channel.close();
+        }
+        this.pcp_channels.forEach(channel => channel.close());
+        window.clearTimeout(this.mounts_timer);
+        window.clearTimeout(this.load_timer);
+    }
+
+    componentDidUpdate(prevProps) {
+        if (prevProps.alerting !== this.props.alerting)
+            this.onVisibilityChange();
+    }
+
+    // measure while the page is visible, and in the background as long as there are alert rules to check
     onVisibilityChange() {
-        if (cockpit.hidden && this.metrics_channel !== null) {
+        const active = !cockpit.hidden || this.props.alerting;
+
+        if (!active && this.metrics_channel !== null) {
             this.metrics_channel.removeEventListener("message", this.onMetricsUpdate);
             this.metrics_channel.close();
             this.metrics_channel = null;
+            this.pcp_channels.forEach(channel => channel.close());
+            this.pcp_channels = [];
             return;
         }
 
-        if (!cockpit.hidden && this.metrics_channel === null) {
-            this.metrics_channel = cockpit.channel({ payload: "metrics1", source: "internal", interval: 3000, metrics: CURRENT_METRICS });
+        if (active && this.metrics_channel === null) {
+            this.metrics_channel = cockpit.channel({
+                payload: "metrics1",
+                source: "internal",
+                interval: CURRENT_INTERVAL,
+                metrics: CURRENT_METRICS,
+                ...hostOptions(this.props.host),
+            });
             this.metrics_channel.addEventListener("closed", (ev, error) => console.error("metrics closed:", error));
+            this.metrics_channel.addEventListener("close", (ev, options) => {
+                if (options.problem && !this.unmounted)
+                    this.setState({ error: options.message || cockpit.message(options.problem) });
+            });
             this.metrics_channel.addEventListener("message", this.onMetricsUpdate);
+
+            if (!this.props.summary && cockpit.manifests && cockpit.manifests.pcp) {
+                this.openPcpChannel(CURRENT_PCP_METRICS, this.onPcpMetricsUpdate);
+                this.openPcpChannel(CGROUP_IO_METRICS, this.onCgroupIOUpdate);
+                this.openPcpChannel(SWAP_PCP_METRICS, this.onSwapUpdate);
+            }
         }
     }
 
+    // separate channels, so that a missing metric only affects its own group
+    openPcpChannel(metrics, onMessage) {
+        const channel = cockpit.channel({ payload: "metrics1", source: "pmcd", interval: CURRENT_INTERVAL, metrics, ...hostOptions(this.props.host) });
+        // just leave out the data if pmcd does not run or does not have the metrics
+        channel.addEventListener("close", (ev, options) => {
+            if (options.problem)
+                debug("pmcd metrics", metrics[0].name, "not available:", options.problem);
+        });
+        channel.addEventListener("message", onMessage);
+        this.pcp_channels.push(channel);
+    }
+
     updateMounts() {
         /* df often exits with non-zero if it encounters any file system it can't read; but that's fine, get info about all the
          * others */
         cockpit.script("df --local --exclude-type=tmpfs --exclude-type=devtmpfs --block-size=1 --output=target,size,avail,pcent || true",
-                       { err: "message" })
+                       { err: "message", ...hostOptions(this.props.host) })
                 .then(output => {
                     // skip first line with the headings
                     const mounts = [];
@@ -262,7 +586,8 @@ class CurrentMetrics extends React.Component {
                     this.setState({ mounts });
 
                     // update it again regularly
-                    window.setTimeout(this.updateMounts, 10000);
+                    if (!this.unmounted)
+                        this.mounts_timer = window.setTimeout(this.updateMounts, 10000);
                 })
                 .catch(ex => {
                     console.warn("Failed to run df:", ex.toString());
@@ -271,13 +596,14 @@ class CurrentMetrics extends React.Component {
     }
 
     updateLoad() {
-        cockpit.file("/proc/loadavg").read()
+        cockpit.file("/proc/loadavg", hostOptions(this.props.host)).read()
                 .then(content => {
                     // format: three load averages, then process counters; e.g.: 0.67 1.00 0.78 2/725 87151
                     const load = content.split(' ').slice(0, 3);
                     this.setState({ loadAvg: cockpit.format("$0: $1, $2: $3, $4: $5", _("1 min"), load[0], _("5 min"), load[1], _("15 min"), load[2]) });
                     // update it again regularly
-                    window.setTimeout(this.updateLoad, 5000);
+                    if (!this.unmounted)
+                        this.load_timer = window.setTimeout(this.updateLoad, 5000);
                 })
                 .catch(ex => {
                     console.warn("Failed to read /proc/loadavg:", ex.toString());
@@ -292,23 +618,36 @@ class CurrentMetrics extends React.Component {
         // reset state on meta messages
         if (!Array.isArray(data)) {
             this.samples = [];
+            this.timestamp = data.timestamp;
             console.assert(data.metrics[7].name === 'network.interface.rx');
             this.netInterfacesNames = data.metrics[7].instances.slice();
             console.assert(data.metrics[9].name === 'cgroup.cpu.usage');
             this.cgroupCPUNames = data.metrics[9].instances.slice();
             this.cgroupMemoryNames = data.metrics[10].instances.slice();
+            console.assert(data.metrics[12].name === 'cpu.core.user');
+            this.cpuCoreNames = data.metrics[12].instances.slice();
             debug("metrics message was meta, new net instance names", JSON.stringify(this.netInterfacesNames));
             return;
         }
 
-        data.forEach(samples => decompress_samples(samples, this.samples));
+        const recent = this.state.recent.slice();
+        data.forEach(samples => {
+            decompress_samples(samples, this.samples);
+            recent.push(this.recentSample());
+            this.timestamp += CURRENT_INTERVAL;
+        });
 
         const newState = {};
+        newState.recent = recent.filter(sample => sample.timestamp > this.timestamp - SPARKLINE_DURATION);
         // CPU metrics are in ms/s; divide by 10 to get percentage
         if (typeof this.samples[0] === 'number') {
-            const cpu = Math.round((this.samples[0] + this.samples[1] + this.samples[2]) / 10 / numCpu);
+            const cpu = Math.round((this.samples[0] + this.samples[1] + this.samples[2]) / 10 / this.state.info.cpus);
             newState.cpuUsed = cpu;
         }
+        if (typeof this.samples[11] === 'number')
+            newState.cpuIOWait = this.samples[11];
+        if (this.samples[12])
+            newState.cpuCores = this.cpuCoreNames.map((name, i) => Math.round((this.samples[12][i] + this.samples[13][i] + this.samples[14][i]) / 10) || 0);
 
         newState.memUsed = Number((this.samples[3] / (1024 * 1024 * 1024)).toFixed(1));
         newState.swapUsed = Number((this.samples[4] / (1024 * 1024 * 1024)).toFixed(1));
@@ -321,47 +660,178 @@ class CurrentMetrics extends React.Component {
         newState.netInterfacesRx = this.samples[7];
         newState.netInterfacesTx = this.samples[8];
 
-        // return [ { [key, value] } ] list of the biggest n values
-        function n_biggest(names, values, n) {
-            const merged = [];
-            names.forEach((k, i) => {
-                const v = values[i];
-                // filter out invalid values, the empty (root) cgroup, non-services
-                if (k.endsWith('.service') && typeof v === 'number' && v != 0) {
-                    const label = k.replace(/.*\//, '').replace(/\.service$/, '');
-                    // only keep cgroup basenames, and drop redundant .service suffix
-                    merged.push([label, v]);
-                }
-            });
-            merged.sort((a, b) => b[1] - a[1]);
-            return merged.slice(0, n);
+        // all cgroups with valid values; the tables pick the top consumers
+        const consumers = (names, ...values) => names
+                .map((cgroup, i) => ({ cgroup, values: values.map(v => v && v[i]) }))
+                .filter(c => c.values.every(v => typeof v === 'number'));
+        newState.cgroupCPU = consumers(this.cgroupCPUNames, this.samples[9]);
+        newState.cgroupMemory = consumers(this.cgroupMemoryNames, this.samples[10]);
+
+        this.setState(newState, this.props.onValues && this.reportValues);
+    }
+
+    reportValues() {
+        const { memTotal } = this.state.info;
+        const mounts = {};
+        this.state.mounts.forEach(info => { mounts[info.target] = info.use });
+        this.props.onValues({
+            timestamp: this.timestamp,
+            cpu: this.state.cpuUsed,
+            memory: memTotal ? this.state.memUsed / memTotal * 100 : null,
+            swap_out: this.state.swapOut,
+            mounts,
+        });
+    }
+
+    onSwapUpdate(event, message) {
+        const data = JSON.parse(message);
+        if (!Array.isArray(data)) {
+            this.swapSamples = [];
+            return;
         }
 
-        function serviceRow(name, value) {
-            const name_text = <a key={name} href="#" onClick={ e => cockpit.jump("/system/services#/" + name + ".service") }><TableText wrapModifier="truncate">{name}</TableText></a>;
-            const value_text = <TableText wrapModifier="nowrap">{value}</TableText>;
-            return {
-                cells: [{ title: name_text }, { title: value_text }]
-            };
+        data.forEach(samples => decompress_samples(samples, this.swapSamples));
+        this.setState({ swapOut: typeof this.swapSamples[0] === 'number' ? this.swapSamples[0] : null });
+    }
+
+    onPcpMetricsUpdate(event, message) {
+        const data = JSON.parse(message);
+        if (!Array.isArray(data)) {
+            this.pcpSamples = [];
+            return;
         }
 
-        // top 5 CPU and memory consuming systemd units
-        newState.topServicesCPU = n_biggest(this.cgroupCPUNames, this.samples[9], 5).map(
-            x => serviceRow(x[0], Number(x[1] / 10 / numCpu).toFixed(1)) // usec/s → percent
-        );
+        data.forEach(samples => decompress_samples(samples, this.pcpSamples));
+        const [steal, hard, soft] = this.pcpSamples;
+        this.setState({
+            cpuSteal: typeof steal === 'number' ? steal : null,
+            cpuIrq: typeof hard === 'number' && typeof soft === 'number' ? hard + soft : null,
+        });
+    }
 
-        newState.topServicesMemory = n_biggest(this.cgroupMemoryNames, this.samples[10], 5).map(
-            x => serviceRow(x[0], cockpit.format_bytes(x[1], 1000))
-        );
+    onCgroupIOUpdate(event, message) {
+        const data = JSON.parse(message);
+        if (!Array.isArray(data)) {
+            this.cgroupIOSamples = [];
+            this.cgroupIONames = data.metrics[0].instances.slice();
+            return;
+        }
+
+        data.forEach(samples => decompress_samples(samples, this.cgroupIOSamples));
+        const [read, write] = this.cgroupIOSamples;
+        this.setState({
+            cgroupIO: this.cgroupIONames
+                    .map((cgroup, i) => ({ cgroup, values: [read && read[i], write && write[i]] }))
+                    .filter(c => c.values.every(v => typeof v === 'number')),
+        });
+    }
+
+    // current sample in the same format as the history data, for reusing RESOURCES; disks only have
+    // total [read, write] in B/s
+    recentSample() {
+        const valid = v => typeof v === 'number';
+        const { memTotal } = this.state.info;
+        const sample = { timestamp: this.timestamp };
+        // channel order is user, system, nice
+        if (valid(this.samples[0]) && valid(this.samples[1]) && valid(this.samples[2]))
+            sample.use_cpu = [this.samples[2], this.samples[0], this.samples[1], this.samples[11], this.state.cpuSteal, this.state.cpuIrq];
+        if (memTotal && valid(this.samples[3])) {
+            const total = memTotal * 1024 * 1024; // KiB
+            sample.use_memory = [total, total - this.samples[3] / 1024];
+        }
+        if (valid(this.samples[5]) && valid(this.samples[6]))
+            sample.use_disks = [this.samples[5], this.samples[6]];
+        if (this.samples[7] && this.samples[8]) {
+            sample.use_network = {};
+            this.netInterfacesNames.forEach((iface, i) => {
+                if (valid(this.samples[7][i]) && valid(this.samples[8][i]))
+                    sample.use_network[iface] = this.samples[7][i] + this.samples[8][i];
+            });
+        }
+        return sample;
+    }
 
-        this.setState(newState);
+    // type: key of the recent samples; value: raw value → number; format: raw value → text for the tooltip
+    sparkline(id, type, name, value, format, max) {
+        const points = this.state.recent
+                .filter(sample => sample[type] !== undefined)
+                .map(sample => ({
+                    timestamp: sample.timestamp,
+                    value: value(sample[type]),
+                    label: moment(sample.timestamp).format("LTS") + "\n\n" + name + ": " + format(sample[type]),
+                }));
+        return <Sparkline id={id} points={points} duration={SPARKLINE_DURATION} max={max} />;
+    }
+
+    renderSummary() {
+        const { memTotal } = this.state.info;
+        const sum = values => (values || []).reduce((total, v) => total + (typeof v === 'number' ? v : 0), 0);
+        const rate = value => value >= 1 ? cockpit.format_bytes_per_sec(value) : "0";
+        const address = this.props.host || "localhost";
+
+        let body;
+        if (this.state.error) {
+            body = <Alert variant="danger" isInline title={this.state.error} />;
+        } else {
+            body = (
+                <>
+                    <div className="progress-stack">
+                        <Progress
+                            value={this.state.cpuUsed}
+                            className="pf-m-sm"
+                            min={0} max={100}
+                            variant={ this.state.cpuUsed > 90 ? ProgressVariant.danger : ProgressVariant.info }
+                            title={ _("CPU") }
+                            label={ this.state.cpuUsed + '% ' } />
+                        { memTotal &&
+                            <Progress
+                                value={this.state.memUsed}
+                                className="pf-m-sm"
+                                min={0} max={memTotal}
+                                variant={ this.state.memUsed / memTotal > 0.9 ? ProgressVariant.danger : ProgressVariant.info }
+                                title={ _("Memory") }
+                                label={ cockpit.format(_("$0 of $1 GiB"), this.state.memUsed, memTotal) } /> }
+                    </div>
+                    <DescriptionList isHorizontal>
+                        <DescriptionListGroup>
+                            <DescriptionListTerm>{ _("Disks") }</DescriptionListTerm>
+                            <DescriptionListDescription className="current-summary-disks">
+                                { cockpit.format(_("$0 read, $1 write"), rate(this.state.disksRead), rate(this.state.disksWritten)) }
+                            </DescriptionListDescription>
+                        </DescriptionListGroup>
+                        <DescriptionListGroup>
+                            <DescriptionListTerm>{ _("Network") }</DescriptionListTerm>
+                            <DescriptionListDescription className="current-summary-network">
+                                { cockpit.format(_("$0 in, $1 out"), rate(sum(this.state.netInterfacesRx)), rate(sum(this.state.netInterfacesTx))) }
+                            </DescriptionListDescription>
+                        </DescriptionListGroup>
+                    </DescriptionList>
+                </>
+            );
+        }
+
+        return (
+            <Card className="current-metrics-summary" data-host={address}>
+                <CardTitle>{ this.props.label }</CardTitle>
+                <CardBody>{ body }</CardBody>
+                <CardFooter>
+                    <Button variant="link" isInline onClick={this.props.onSelect}>{ _("Show metrics") }</Button>
+                </CardFooter>
+            </Card>
+        );
     }
 
     render() {
+        if (this.props.summary)
+            return this.renderSummary();
+
+        const { cpus: numCpu, memTotal, swapTotal } = this.state.info;
         const memUsedFraction = this.state.memUsed / memTotal;
         const memAvail = Number(memTotal - this.state.memUsed).toFixed(1);
         const num_cpu_str = cockpit.format(cockpit.ngettext("$0 CPU", "$0 CPUs", numCpu), numCpu);
         const have_storage = cockpit.manifests && cockpit.manifests.storage;
+        // CPU time which does not count as usage; steal and irq are only available with pmcd
+        const cpuOther = formatCPU([null, null, null, this.state.cpuIOWait, this.state.cpuSteal, this.state.cpuIrq], numCpu);
 
         const netIO = this.netInterfacesNames.map((iface, i) => [
             iface,
@@ -388,8 +858,31 @@ class CurrentMetrics extends React.Component {
                 </Tooltip>);
         }
 
+        // like "Top 5 CPU services"
+        const topLabel = resource => cockpit.format(CGROUP_TYPES[this.state.topType].top[resource], this.state.topCount);
+
         return (
             <Gallery className="current-metrics" hasGutter>
+                { this.state.error && <Alert variant="danger" isInline title={this.state.error} /> }
+                <div className="current-metrics-toolbar">
+                    <span>{ _("Top consumers") }</span>
+                    <FormSelect
+                        id="current-top-count"
+                        className="select-min"
+                        aria-label={_("Number of top consumers")}
+                        value={this.state.topCount}
+                        onChange={value => this.setState({ topCount: parseInt(value) })}>
+                        { TOP_COUNTS.map(count => <FormSelectOption key={count} value={count} label={count.toString()} />) }
+                    </FormSelect>
+                    <FormSelect
+                        id="current-top-type"
+                        className="select-min"
+                        aria-label={_("Kind of top consumers")}
+                        value={this.state.topType}
+                        onChange={topType => this.setState({ topType })}>
+                        { Object.keys(CGROUP_TYPES).map(type => <FormSelectOption key={type} value={type} label={CGROUP_TYPES[type].label} />) }
+                    </FormSelect>
+                </div>
                 <Card id="current-metrics-card-cpu">
                     <CardTitle>{ _("CPU") }</CardTitle>
                     <CardBody>
@@ -404,25 +897,46 @@ class CurrentMetrics extends React.Component {
                                 label={ this.state.cpuUsed + '% ' } />
                         </div>
 
-                        { this.state.loadAvg &&
+                        { (this.state.loadAvg || cpuOther) &&
                             <DescriptionList isHorizontal>
-                                <DescriptionListGroup>
-                                    <DescriptionListTerm>{ _("Load") }</DescriptionListTerm>
-                                    <DescriptionListDescription id="load-avg">{this.state.loadAvg}</DescriptionListDescription>
-                                </DescriptionListGroup>
+                                { this.state.loadAvg &&
+                                    <DescriptionListGroup>
+                                        <DescriptionListTerm>{ _("Load") }</DescriptionListTerm>
+                                        <DescriptionListDescription id="load-avg">{this.state.loadAvg}</DescriptionListDescription>
+                                    </DescriptionListGroup> }
+                                { cpuOther &&
+                                    <DescriptionListGroup>
+                                        <DescriptionListTerm>{ _("Other") }</DescriptionListTerm>
+                                        <DescriptionListDescription id="current-cpu-other">{cpuOther}</DescriptionListDescription>
+                                    </DescriptionListGroup> }
                             </DescriptionList> }
 
-                        { this.state.topServicesCPU.length > 0 &&
-                            <Table
-                                variant={TableVariant.compact}
-                                gridBreakPoint={TableGridBreakpoint.none}
-                                borders={false}
-                                aria-label={ _("Top 5 CPU services") }
-                                cells={ [{ title: _("Service"), transforms: [cellWidth(80)] }, "%"] }
-                                rows={this.state.topServicesCPU}>
-                                <TableHeader />
-                                <TableBody />
-                            </Table> }
+                        { this.sparkline("current-cpu-sparkline", "use_cpu", RESOURCES.use_cpu.name,
+                                         values => RESOURCES.use_cpu.normalize(values, null, this.state.info), RESOURCES.use_cpu.format, 1) }
+
+                        { this.state.cpuCores.length > 1 &&
+                            <ExpandableSection
+                                id="current-cpu-cores"
+                                toggleText={ this.state.isCpuCoresExpanded ? _("Hide per-CPU usage") : _("Show per-CPU usage") }
+                                isExpanded={this.state.isCpuCoresExpanded}
+                                onToggle={isCpuCoresExpanded => this.setState({ isCpuCoresExpanded })}>
+                                <div className="cpu-cores">
+                                    { this.state.cpuCores.map((percent, i) => (
+                                        <div
+                                            key={this.cpuCoreNames[i]}
+                                            className={ "cpu-core" + (percent > 90 ? " cpu-core-busy" : "") }
+                                            data-core={this.cpuCoreNames[i]}
+                                            style={{ "--cpu-usage": Math.min(percent, 100) / 100 }}
+                                            title={ cockpit.format(_("CPU $0: $1%"), this.cpuCoreNames[i].replace(/^cpu/, ""), percent) } />)) }
+                                </div>
+                            </ExpandableSection> }
+
+                        <TopConsumersTable
+                            label={ topLabel("cpu") }
+                            consumers={this.state.cgroupCPU}
+                            columns={ [{ title: "%", format: v => Number(v / 10 / numCpu).toFixed(1) }] } // usec/s → percent
+                            type={this.state.topType}
+                            limit={this.state.topCount} />
                     </CardBody>
                 </Card>
 
@@ -446,17 +960,15 @@ class CurrentMetrics extends React.Component {
                             {swapProgress}
                         </div>
 
-                        { this.state.topServicesMemory.length > 0 &&
-                            <Table
-                                variant={TableVariant.compact}
-                                gridBreakPoint={TableGridBreakpoint.none}
-                                borders={false}
-                                aria-label={ _("Top 5 memory services") }
-                                cells={ [{ title: _("Service"), transforms: [cellWidth(80)] }, _("Used")] }
-                                rows={this.state.topServicesMemory}>
-                                <TableHeader />
-                                <TableBody />
-                            </Table> }
+                        { this.sparkline("current-memory-sparkline", "use_memory", RESOURCES.use_memory.name,
+                                         RESOURCES.use_memory.normalize, RESOURCES.use_memory.format, 1) }
+
+                        <TopConsumersTable
+                            label={ topLabel("memory") }
+                            consumers={this.state.cgroupMemory}
+                            columns={ [{ title: _("Used"), format: v => cockpit.format_bytes(v, 1000) }] }
+                            type={this.state.topType}
+                            limit={this.state.topCount} />
                     </CardBody>
                 </Card>
 
@@ -498,6 +1010,20 @@ class CurrentMetrics extends React.Component {
                             })
                         }
                         </div>
+
+                        { this.sparkline("current-disks-sparkline", "use_disks", RESOURCES.use_disks.name,
+                                         ([read, write]) => read + write,
+                                         ([read, write]) => cockpit.format(_("$0 read, $1 write"), cockpit.format_bytes_per_sec(read), cockpit.format_bytes_per_sec(write))) }
+
+                        <TopConsumersTable
+                            label={ topLabel("disks") }
+                            consumers={this.state.cgroupIO}
+                            columns={ [
+                                { title: _("Read"), format: v => cockpit.format_bytes_per_sec(v) },
+                                { title: _("Write"), format: v => cockpit.format_bytes_per_sec(v) },
+                            ] }
+                            type={this.state.topType}
+                            limit={this.state.topCount} />
                     </CardBody>
                 </Card>
 
@@ -517,23 +1043,102 @@ class CurrentMetrics extends React.Component {
                             <TableHeader />
                             <TableBody />
                         </Table>
+
+                        { this.sparkline("current-network-sparkline", "use_network", RESOURCES.use_network.name,
+                                         sumInstances, RESOURCES.use_network.format) }
                     </CardBody>
                 </Card>
             </Gallery>);
     }
 }
 
-const SvgGraph = ({ data, resource, have_sat }) => {
-    const dataPoints = key => (
+const intervalLabel = interval => interval < 60000
+    ? cockpit.format(cockpit.ngettext("$0 second", "$0 seconds", interval / 1000), interval / 1000)
+    : cockpit.format(cockpit.ngettext("$0 minute", "$0 minutes", interval / 60000), interval / 60000);
+
+// index range [begin, end) of the samples within an hour which cover the given minute; for intervals
+// longer than a minute, all minutes of an interval share the same sample
+const minuteSamples = (minute, interval) => [
+    Math.floor(minute * 60000 / interval),
+    Math.max(Math.ceil((minute + 1) * 60000 / interval), Math.floor(minute * 60000 / interval) + 1)
+];
+
+// resolves to { cpu, memory } lists of { cgroup, values: [value] } with the CPU usage (µs/s) and memory (bytes) of all
+// cgroups during the minute from time; rejects if the archive does not have them
+// source: directory of an imported archive, or "pcp-archive" for the machine's own ones
+function loadCgroupHistory(time, host, source) {
+    return new Promise((resolve, reject) => {
+        let names = [[], []]; // instance names of CGROUP_HISTORY_METRICS, from most recent meta message
+        let current = []; // last valid value, for decompression
+        const result = { cpu: [], memory: [] };
+
+        // two samples to get a rate over the minute
+        const channel = cockpit.channel({
+            payload: "metrics1",
+            interval: 60000,
+            source,
+            timestamp: time,
+            limit: 2,
+            metrics: CGROUP_HISTORY_METRICS,
+            ...hostOptions(host),
+        });
+
+        const consumers = (instances, values) => instances
+                .map((cgroup, i) => ({ cgroup, values: [values && values[i]] }))
+                .filter(c => typeof c.values[0] === 'number');
+
+        channel.addEventListener("message", (event, message) => {
+            message = JSON.parse(message);
+            if (!Array.isArray(message)) {
+                names = message.metrics.map(metric => metric.instances || []);
+                current = [];
+                return;
+            }
+
+            message.forEach(samples => {
+                decompress_samples(samples, current);
+                const cpu = consumers(names[0], current[0]);
+                if (cpu.length > 0)
+                    result.cpu = cpu;
+                const memory = consumers(names[1], current[1]);
+                if (memory.length > 0)
+                    result.memory = memory;
+            });
+        });
+
+        channel.addEventListener("close", (event, options) => {
+            if (options.problem) {
+                debug("loading cgroup history for", moment(time).format(), "failed:", options.problem);
+                reject(new Error(options.message || options.problem));
+            } else {
+                resolve(result);
+            }
+        });
+    });
+}
+
+// compareData: optional normalized samples of a compared range, aligned to data; drawn as outline
+const SvgGraph = ({ data, compareData, resource, have_sat, have_split }) => {
+    // a polygon needs at least two samples, stretch a single one over the whole minute
+    if (data.length === 1) {
+        data = [data[0], data[0]];
+        if (compareData)
+            compareData = [compareData[0], compareData[0]];
+    }
+    const SVG_YMAX = (data.length - 1).toString();
+
+    const dataPoints = (key, samples) => (
         "0,0 " + // start polygon at (0, 0)
-        data.map((samples, index) => (samples && typeof samples[key] === 'number') ? samples[key].toString() + "," + index.toString() : "").join(" ") +
+        (samples || data).map((sample, index) => (sample && typeof sample[key] === 'number') ? sample[key].toString() + "," + index.toString() : "").join(" ") +
         " 0," + (data.length - 1) // close polygon
     );
 
+    const useTransform = have_sat ? "matrix(-1,0,0,-1,1," + SVG_YMAX + ")" : "matrix(-2,0,0,-1,2," + SVG_YMAX + ")";
+
     return (
         <svg xmlns="http://www.w3.org/2000/svg" viewBox={ "0 0 2 " + SVG_YMAX } preserveAspectRatio="none">
             <polygon
-                 transform={ have_sat ? "matrix(-1,0,0,-1,1," + SVG_YMAX + ")" : "matrix(-2,0,0,-1,2," + SVG_YMAX + ")" }
+                 transform={useTransform}
                  points={ dataPoints("use_" + resource) }
             />
             { have_sat && <polygon
@@ -541,226 +1146,1255 @@ const SvgGraph = ({ data, resource, have_sat }) => {
                 points={ dataPoints("sat_" + resource) }
                 opacity="0.7"
             /> }
+            { have_split && <polygon
+                className="split"
+                transform={useTransform}
+                points={ dataPoints("use_" + resource + "_split") }
+            /> }
+            { compareData && <polygon
+                className="compare"
+                transform={useTransform}
+                points={ dataPoints("use_" + resource, compareData) }
+                vectorEffect="non-scaling-stroke"
+            /> }
+            { compareData && have_sat && <polygon
+                className="compare"
+                transform={ "matrix(1,0,0,-1,1," + SVG_YMAX + ")" }
+                points={ dataPoints("sat_" + resource, compareData) }
+                vectorEffect="non-scaling-stroke"
+            /> }
         </svg>
     );
 };
 
-// data: type → SAMPLES_PER_H objects from startTime
-const MetricsHour = ({ startTime, data }) => {
+/* scaled resource type → { max, log, pinned } for normalizing the given data (array of hour data arrays):
+ * the biggest value (rounded up), or the user's fixed maximum
+ * scaling: type → { log, max }, see scaling.jsx
+ * info: { cpus, memTotal } of the machine, see hostInfo()
+ */
+const computeScales = (hoursData, scaling, info) => {
+    const scales = {};
+    for (const type in RESOURCES) {
+        if (!RESOURCES[type].scale)
+            continue;
+        const { log, max } = scaling[type];
+        if (max) {
+            scales[type] = { max, log, pinned: true };
+            continue;
+        }
+
+        let peak = RESOURCES[type].scale.min;
+        hoursData.forEach(data => data.forEach(sample => {
+            if (sample && sample[type] !== null && sample[type] !== undefined)
+                peak = Math.max(peak, RESOURCES[type].chart.value(sample[type], info));
+        }));
+        scales[type] = { max: scaleForValue(peak), log, pinned: false };
+    }
+    return scales;
+};
+
+// type → normalized value of a sample, plus type + "_split" for split resources; scales from computeScales()
+const normalizeSample = (sample, scales, info) => {
+    if (!sample)
+        return null;
+    const n = {};
+    for (const type in sample) {
+        const valid = sample[type] !== null && sample[type] !== undefined;
+        n[type] = valid ? RESOURCES[type].normalize(sample[type], scales[type], info) : null;
+        if (RESOURCES[type].split)
+            n[type + "_split"] = valid ? n[type] * RESOURCES[type].split.share(sample[type]) : null;
+    }
+    return n;
+};
+
+// array of 60 objects type → average normalized value in that minute (missing if there is no data)
+const minuteAverages = (normData, interval) => {
+    const averages = [];
+    for (let minute = 0; minute < 60; ++minute) {
+        const avg = {};
+        for (const type in RESOURCES) {
+            const values = normData.slice(...minuteSamples(minute, interval))
+                    .filter(s => s && typeof s[type] === 'number')
+                    .map(s => s[type]);
+            if (values.length > 0)
+                avg[type] = values.reduce((a, b) => a + b) / values.length;
+        }
+        averages.push(avg);
+    }
+    return averages;
+};
+
+// type → { mean, stddev } of the minute averages in the given hours' data, normalized with the given scales
+const computeBaseline = (hoursData, interval, scales, info) => {
+    const values = {};
+    hoursData.forEach(data => minuteAverages(data.map(sample => normalizeSample(sample, scales, info)), interval).forEach(avg => {
+        for (const type in avg)
+            (values[type] = values[type] || []).push(avg[type]);
+    }));
+
+    const baseline = {};
+    for (const type in values) {
+        // too few minutes for meaningful statistics
+        if (values[type].length < 10)
+            continue;
+        const mean = values[type].reduce((a, b) => a + b) / values[type].length;
+        const variance = values[type].reduce((a, v) => a + (v - mean) * (v - mean), 0) / values[type].length;
+        baseline[type] = { mean, stddev: Math.sqrt(variance) };
+    }
+    return baseline;
+};
+
+// how compressed minutes summarize their samples
+const AGGREGATES = {
+    max: _("Maximum"),
+    avg: _("Average"),
+    p95: _("95th percentile"),
+};
+
+// aggregate of a non-empty list of numbers, key of AGGREGATES
+const aggregateValues = (values, kind) => {
+    if (kind === "avg")
+        return values.reduce((a, b) => a + b) / values.length;
+    if (kind === "p95") {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.max(Math.ceil(sorted.length * 0.95) - 1, 0)];
+    }
+    return Math.max(...values);
+};
+
+// minimum standard deviation, so that a completely flat baseline does not flag every small change
+const MIN_STDDEV = 0.01;
+
+const formatPercent = value => cockpit.format("$0%", Math.round(value * 100));
+
+// resource columns of MetricsHour, from left to right
+const RESOURCE_COLUMNS = {
+    cpu: _("CPU"),
+    memory: _("Memory"),
+    disks: _("Disks"),
+    network: _("Network"),
+};
+
+// aggregate of raw values of a type in some samples, formatted with unit; null if there is no data
+const summarize = (samples, type, aggregate, info) => {
+    const values = samples.filter(s => s && s[type] !== null && s[type] !== undefined).map(s => RESOURCES[type].chart.value(s[type], info));
+    return values.length > 0 ? RESOURCES[type].chart.format(aggregateValues(values, aggregate)) : null;
+};
+
+const eventText = ({ type, instance, anomaly, alert }) => {
+    if (alert)
+        return alert;
+    if (anomaly)
+        return cockpit.format(_("$0 anomaly"), RESOURCES[type].name);
+    return instance ? cockpit.format("$0 ($1)", RESOURCES[type].event_description, instance) : RESOURCES[type].event_description;
+};
+
+// data table alternative to the graphs of an hour, one row per minute with data
+const MetricsHourTable = ({ startTime, data, interval, aggregate, info, minute_events }) => {
+    const types = Object.keys(RESOURCES);
+    const rows = [];
+    // most recent first, like the graphs
+    for (let minute = 59; minute >= 0; --minute) {
+        const samples = data.slice(...minuteSamples(minute, interval));
+        if (!samples.find(s => s))
+            continue;
+        rows.push(
+            <tr key={minute} data-minute={minute}>
+                <th scope="row"><time>{ moment(startTime + minute * 60000).format("LT") }</time></th>
+                { types.map(type => <td key={type} data-label={RESOURCES[type].name}>{ summarize(samples, type, aggregate, info) || "–" }</td>) }
+                <td data-label={_("Events")}>{ (minute_events[minute] || []).map(eventText).join(", ") }</td>
+            </tr>);
+    }
+
+    return (
+        <table
+            className="pf-c-table pf-m-compact pf-m-grid-lg metrics-hour-table"
+            aria-label={ cockpit.format(_("Metrics from $0 ($1 per minute)"), moment(startTime).format("LT ddd YYYY-MM-DD"), AGGREGATES[aggregate]) }>
+            <thead>
+                <tr>
+                    <th scope="col">{_("Time")}</th>
+                    { types.map(type => <th key={type} scope="col">{RESOURCES[type].name}</th>) }
+                    <th scope="col">{_("Events")}</th>
+                </tr>
+            </thead>
+            <tbody>{rows}</tbody>
+        </table>
+    );
+};
+
+const TOOLTIP_THROTTLE = 100; // ms
+
+// resource type like "sat_disks" → column like "disks", for the graph color
+const resourceColumn = type => type.replace(/^(use|sat)_/, "");
+
+/* Container of the graphs of an hour which shows the values under the mouse in a popover,
+ * with a crosshair across all resource columns
+ * startTime, data, interval, info: like for MetricsHour
+ */
+class MetricsHourHover extends React.Component {
+    constructor(props) {
+        super(props);
+        // { index, minute, x, y, flip } of the sample under the mouse, relative to the hour
+        this.state = { hover: null };
+        this.ref = React.createRef();
+        this.throttle = null;
+        this.lastMove = null;
+
+        this.onMouseMove = this.onMouseMove.bind(this);
+        this.onMouseLeave = this.onMouseLeave.bind(this);
+    }
+
+    componentWillUnmount() {
+        window.clearTimeout(this.throttle);
+    }
+
+    onMouseMove(ev) {
+        // handle the first move right away, and the last one at the end of each throttle period
+        this.lastMove = { target: ev.target, clientX: ev.clientX, clientY: ev.clientY };
+        if (this.throttle)
+            return;
+        this.update(this.lastMove);
+        this.lastMove = null;
+        this.throttle = window.setTimeout(() => {
+            this.throttle = null;
+            if (this.lastMove)
+                this.onMouseMove(this.lastMove);
+        }, TOOLTIP_THROTTLE);
+    }
+
+    onMouseLeave() {
+        window.clearTimeout(this.throttle);
+        this.throttle = null;
+        this.lastMove = null;
+        this.setState({ hover: null });
+    }
+
+    update({ target, clientX, clientY }) {
+        const { data, interval } = this.props;
+        const hourElement = this.ref.current;
+        // event usually happens on an <svg> or its child
+        const dataElement = target.closest(".metrics-data");
+        if (!hourElement || !dataElement || !hourElement.contains(dataElement)) {
+            this.setState({ hover: null });
+            return;
+        }
+
+        const minute = Number(dataElement.getAttribute("data-minute"));
+        const bounds = dataElement.getBoundingClientRect();
+        const [begin, end] = minuteSamples(minute, interval);
+        // later samples are further up
+        const offset = Math.min(Math.floor((1 - (clientY - bounds.top) / bounds.height) * (end - begin)), end - begin - 1);
+        const index = begin + Math.max(offset, 0);
+        if (!data[index]) {
+            this.setState({ hover: null });
+            return;
+        }
+
+        // snap the crosshair to the middle of the sample
+        const hourBounds = hourElement.getBoundingClientRect();
+        const x = clientX - hourBounds.left;
+        this.setState({
+            hover: {
+                index,
+                minute,
+                x,
+                y: bounds.bottom - (index - begin + 0.5) / (end - begin) * bounds.height - hourBounds.top,
+                flip: x > hourBounds.width / 2,
+            }
+        });
+    }
+
+    renderTooltip() {
+        const { startTime, data, interval, info } = this.props;
+        const { index, minute, x, y, flip } = this.state.hover;
+        const sample = data[index];
+
+        const values = Object.keys(sample)
+                .filter(type => sample[type] !== null && sample[type] !== undefined)
+                .map(type => [
+                    <dt key={type} className={ "metrics-hour-tooltip-" + resourceColumn(type) + (type.startsWith("sat_") ? " saturation" : "") }>
+                        { RESOURCES[type].name }
+                    </dt>,
+                    <dd key={ type + "-value" } data-resource={type}>{ RESOURCES[type].format(sample[type]) }</dd>
+                ]);
+
+        // summary of the whole minute, when it has more than one sample
+        let summary = null;
+        const minuteData = data.slice(...minuteSamples(minute, interval)).filter(s => s);
+        if (minuteData.length > 1) {
+            summary = Object.keys(RESOURCES).map(type => {
+                const minuteValues = minuteData.filter(s => s[type] !== null && s[type] !== undefined).map(s => RESOURCES[type].chart.value(s[type], info));
+                if (minuteValues.length === 0)
+                    return null;
+                const format = RESOURCES[type].chart.format;
+                return [
+                    <dt key={type}>{ RESOURCES[type].name }</dt>,
+                    <dd key={ type + "-value" } data-resource={type}>
+                        { cockpit.format(_("min $0, avg $1, max $2"), format(Math.min(...minuteValues)),
+                                         format(aggregateValues(minuteValues, "avg")), format(Math.max(...minuteValues))) }
+                    </dd>
+                ];
+            });
+        }
+
+        const style = { top: y };
+        if (flip)
+            style.right = this.ref.current.offsetWidth - x;
+        else
+            style.left = x;
+
+        return (
+            <div className={ "pf-c-popover metrics-hour-tooltip " + (flip ? "pf-m-left" : "pf-m-right") } role="tooltip" style={style}>
+                <div className="pf-c-popover__arrow" />
+                <div className="pf-c-popover__content">
+                    <h4 className="pf-c-title pf-m-md"><time>{ moment(startTime + index * interval).format("LTS") }</time></h4>
+                    <div className="pf-c-popover__body">
+                        <dl className="metrics-hour-tooltip-values">{ values }</dl>
+                        { summary &&
+                            <h5 className="metrics-hour-tooltip-minute">
+                                { cockpit.format(_("Minute $0"), moment(startTime + minute * 60000).format("LT")) }
+                            </h5> }
+                        { summary && <dl className="metrics-hour-tooltip-summary">{ summary }</dl> }
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    render() {
+        const hover = this.state.hover;
+        return (
+            <div
+                ref={this.ref}
+                id={this.props.id}
+                className="metrics-hour"
+                role="group"
+                aria-label={this.props["aria-label"]}
+                onMouseMove={this.onMouseMove}
+                onMouseLeave={this.onMouseLeave}>
+                { this.props.children }
+                { hover && <div className="metrics-hour-crosshair" style={{ top: hover.y }} aria-hidden="true" /> }
+                { hover && this.renderTooltip() }
+            </div>
+        );
+    }
+}
+
+// data: type → (MSEC_PER_H / interval) objects from startTime
+// interval: ms between samples
+// scales: scaled resource type → scale for normalizing, see computeScales()
+// thresholds: type → { slope, level, duration } for spike detection, see thresholds.jsx
+// baseline: { types: type → { mean, stddev }, description, deviations } for anomaly detection, or null
+// aggregate: how compressed minutes summarize their samples, key of AGGREGATES
+// selectedTime: timestamp of a minute to highlight, may be outside of this hour
+// onSelectTime: called with the timestamp of a minute when clicking on an event time
+// onZoomStart, onZoomEnd: called with the timestamp of a minute when pressing/releasing the mouse on its graphs
+// onZoom: called with start and end timestamp for showing a detail chart
+// showTable: render a data table instead of the graphs; onToggleTable switches between them
+// compareTime, compareData: start and data of the hour of a compared range, drawn as outlines; null when not comparing
+// host, source: machine and metrics1 source of the data, for loading the top consumers; null host for the local one
+// alerts: fired alerts within this hour, see alerts.jsx
+// info: { cpus, memTotal } of the machine, see hostInfo()
+const MetricsHour = ({
+    startTime, data, interval, scales, thresholds, baseline, aggregate, selectedTime, onSelectTime, onZoomStart, onZoomEnd, onZoom,
+    showTable, onToggleTable, compareTime, compareData, host, source, alerts, info
+}) => {
     // compute graphs
     const graphs = [];
 
-    // normalize data
-    const normData = data.map(sample => {
-        if (sample === null)
-            return null;
-        const n = {};
-        for (const type in sample)
-            n[type] = (sample[type] !== null && sample[type] !== undefined) ? RESOURCES[type].normalize(sample[type]) : null;
-        return n;
-    });
+    const normData = data.map(sample => normalizeSample(sample, scales, info));
+    const normCompareData = compareData ? compareData.map(sample => normalizeSample(sample, scales, info)) : null;
 
     // compute spike events
     const minute_events = {};
     for (const type in RESOURCES) {
+        const { slope, level, duration } = thresholds[type];
+        // number of following samples which need to stay above the spike
+        const sustain = Math.ceil(duration * 1000 / interval);
+        const sustained = (i, min) => normData.slice(i + 1, i + 1 + sustain).every(s => !s || s[type] === null || s[type] >= min);
+
         let prev_val = data[0] ? data[0][type] : null;
+        let prev_sample = data[0];
         normData.forEach((samples, i) => {
             if (samples === null)
                 return;
             const value = samples[type];
-            // either high enough slope, or crossing the 80% threshold
-            if (prev_val !== null && (value - prev_val > 0.25 || (prev_val < 0.8 && value >= 0.8))) {
-                const minute = Math.floor(i / SAMPLES_PER_MIN);
+            // either high enough slope, or crossing the level threshold, for long enough
+            if (prev_val !== null &&
+                ((slope !== null && value - prev_val > slope && sustained(i, prev_val + slope)) ||
+                 (level !== null && prev_val < level && value >= level && sustained(i, level)))) {
+                const minute = Math.floor(i * interval / 60000);
                 if (minute_events[minute] === undefined)
                     minute_events[minute] = [];
-                minute_events[minute].push(type);
+                // for per-instance metrics, name the instance which caused the spike
+                const instance = RESOURCES[type].event_instance && prev_sample
+                    ? RESOURCES[type].event_instance(prev_sample[type], data[i][type])
+                    : null;
+                minute_events[minute].push({ type, instance });
             }
             prev_val = value;
+            prev_sample = data[i];
         });
     }
 
+    // compute anomaly events: first minute of a run whose average deviates from the baseline
+    if (baseline) {
+        const averages = minuteAverages(normData, interval);
+        for (const type in baseline.types) {
+            const { mean, stddev } = baseline.types[type];
+            const isAnomaly = avg => avg[type] !== undefined && Math.abs(avg[type] - mean) > baseline.deviations * Math.max(stddev, MIN_STDDEV);
+            averages.forEach((avg, minute) => {
+                if (!isAnomaly(avg) || (minute > 0 && isAnomaly(averages[minute - 1])))
+                    return;
+                if (minute_events[minute] === undefined)
+                    minute_events[minute] = [];
+                // a threshold spike already marks this minute
+                if (minute_events[minute].find(e => e.type === type))
+                    return;
+                minute_events[minute].push({
+                    type,
+                    anomaly: cockpit.format(_("Average $0 compared to $1 ± $2 in the $3"),
+                                            formatPercent(avg[type]), formatPercent(mean), formatPercent(stddev), baseline.description),
+                });
+            });
+        }
+    }
+
+    // fired alerts, on the column of their resource
+    alerts.forEach(alert => {
+        const minute = Math.floor((alert.time - startTime) / 60000);
+        if (minute_events[minute] === undefined)
+            minute_events[minute] = [];
+        minute_events[minute].push({ type: alert.resource, alert: alert.text });
+    });
+
+    const selectedMinute = (selectedTime >= startTime && selectedTime < startTime + MSEC_PER_H)
+        ? Math.floor((selectedTime - startTime) / 60000)
+        : null;
+
+    // the selected minute also gets a row, for showing its top consumers
+    const eventMinutes = Object.keys(minute_events).map(Number);
+    if (selectedMinute !== null && !minute_events[selectedMinute])
+        eventMinutes.push(selectedMinute);
+
     const events = [];
-    for (const minute in minute_events) {
+    for (const minute of eventMinutes) {
         events.push(
             <dl key={minute} className="metrics-events" style={{ "--metrics-minute": minute }}>
-                <dt><time>{ moment(startTime + (minute * 60000)).format('LT') }</time></dt>
-                { minute_events[minute].map(t => <dd key={ t }>{ RESOURCES[t].event_description }</dd>) }
+                <dt>
+                    <Button variant="link" isInline onClick={ () => onSelectTime(startTime + (minute * 60000)) }>
+                        <time>{ moment(startTime + (minute * 60000)).format('LT') }</time>
+                    </Button>
+                </dt>
+                { (minute_events[minute] || []).map((event, i) => {
+                    if (event.alert)
+                        return <dd key={ "alert-" + i } className="metrics-event-alert">{ eventText(event) }</dd>;
+                    return event.anomaly
+                        ? <dd key={ event.type + "-anomaly" } className="metrics-event-anomaly" title={event.anomaly}>{ eventText(event) }</dd>
+                        : <dd key={ event.type + "-" + (event.instance || i) }>{ eventText(event) }</dd>;
+                }) }
+                { minute === selectedMinute &&
+                    <dd className="metrics-event-consumers">
+                        <Button variant="link" isInline className="metrics-zoom-button" onClick={ () => onZoom(startTime + (minute * 60000), startTime + ((minute + 1) * 60000)) }>
+                            {_("Details")}
+                        </Button>
+                        <TopConsumersPopover time={startTime + (minute * 60000)} load={time => loadCgroupHistory(time, host, source)} cpus={info.cpus} />
+                    </dd> }
             </dl>);
     }
 
+    const heading = (
+        <h3 className="metrics-time">
+            <time>{ moment(startTime).format("LT ddd YYYY-MM-DD") }</time>
+            { compareTime &&
+                <span className="metrics-compare-time">
+                    { cockpit.format(_("compared with $0"), moment(compareTime).format("LT ddd YYYY-MM-DD")) }
+                </span> }
+            <Button variant="link" isInline className="metrics-table-toggle" onClick={onToggleTable}>
+                { showTable ? _("Show graphs") : _("Show as table") }
+            </Button>
+        </h3>
+    );
+
+    if (showTable)
+        return (
+            <div id={ "metrics-hour-" + startTime.toString() } className="metrics-hour-table-view">
+                { heading }
+                <MetricsHourTable startTime={startTime} data={data} interval={interval} aggregate={aggregate} info={info} minute_events={minute_events} />
+            </div>
+        );
+
+    // keyboard navigation: arrow keys move between minutes (up is later) and resources, also across hours;
+    // Enter shows the details of the minute
+    const columns = Object.keys(RESOURCE_COLUMNS);
+    const onKeyDown = (ev, minute, resource) => {
+        let hour = startTime;
+        let column = columns.indexOf(resource);
+        switch (ev.key) {
+        case "ArrowUp":
+            minute += 1;
+            break;
+        case "ArrowDown":
+            minute -= 1;
+            break;
+        case "ArrowLeft":
+            column = Math.max(column - 1, 0);
+            break;
+        case "ArrowRight":
+            column = Math.min(column + 1, columns.length - 1);
+            break;
+        case "Enter":
+        case " ":
+            ev.preventDefault();
+            onZoom(startTime + minute * 60000, startTime + (minute + 1) * 60000);
+            return;
+        default:
+            return;
+        }
+        ev.preventDefault();
+
+        if (minute > 59) {
+            hour += MSEC_PER_H;
+            minute = 0;
+        } else if (minute < 0) {
+            hour -= MSEC_PER_H;
+            minute = 59;
+        }
+        const target = document.querySelector(`#metrics-hour-${hour} .metrics-data[data-minute="${minute}"][data-resource="${columns[column]}"]`);
+        if (target)
+            target.focus();
+    };
+
+    // the one cell of the hour in the tab order: the selected minute, otherwise the most recent one with data
+    let focusMinute = selectedMinute;
+    for (let minute = 59; focusMinute === null && minute >= 0; --minute) {
+        if (data.slice(...minuteSamples(minute, interval)).find(s => s))
+            focusMinute = minute;
+    }
+
     for (let minute = 0; minute < 60; ++minute) {
-        const dataOffset = minute * SAMPLES_PER_MIN;
-        const dataSlice = normData.slice(dataOffset, dataOffset + SAMPLES_PER_MIN);
+        const dataSlice = normData.slice(...minuteSamples(minute, interval));
         const first = dataSlice.find(i => i !== null);
+        const rawSlice = data.slice(...minuteSamples(minute, interval));
+        // aligned to dataSlice
+        const [begin] = minuteSamples(minute, interval);
+        const compareSlice = normCompareData ? dataSlice.map((_s, i) => normCompareData[begin + i] || null) : null;
 
-        ['cpu', 'memory', 'disks', 'network'].forEach(resource => {
+        columns.forEach(resource => {
             // not all resources have a saturation metric
             const have_sat = !!RESOURCES["sat_" + resource];
+            // some utilizations are split into two series, like disk reads and writes
+            const have_split = !!RESOURCES["use_" + resource].split;
 
             let graph;
             if (minute_events[minute]) {
                 // render full SVG graphs for "expanded" minutes with events
-                graph = <SvgGraph data={dataSlice} resource={resource} have_sat={have_sat} />;
+                graph = <SvgGraph data={dataSlice} compareData={compareSlice} resource={resource} have_sat={have_sat} have_split={have_split} />;
             } else if (!first) {
                 // no data, just render .metrics-data container for the dotted line
                 graph = null;
             } else {
-                // render simple bars for "compressed" minutes without events
+                // render simple bars for "compressed" minutes without events, from all samples of the minute
+                const agg = (key, slice) => {
+                    const values = (slice || dataSlice).filter(s => s && typeof s[key] === 'number').map(s => s[key]);
+                    return values.length > 0 ? aggregateValues(values, aggregate) : 0;
+                };
+                const utilization = agg("use_" + resource);
+                const style = { "--utilization": utilization, "--saturation": agg("sat_" + resource) };
+                // split share is relative to the utilization bar
+                if (have_split)
+                    style["--split"] = utilization > 0 ? Math.min(agg("use_" + resource + "_split") / utilization, 1) : 0;
                 graph = (
-                    <div className="compressed" style={{ "--utilization": first["use_" + resource] || 0, "--saturation": first["sat_" + resource] || 0 }}>
+                    <div className="compressed" style={style}>
                         <div className="utilization" />
                         { have_sat && <div className="saturation" /> }
+                        { compareSlice && compareSlice.find(s => s) &&
+                            <div className="compare compare-utilization" style={{ "--compare": agg("use_" + resource, compareSlice) }} /> }
+                        { compareSlice && compareSlice.find(s => s) && have_sat &&
+                            <div className="compare compare-saturation" style={{ "--compare": agg("sat_" + resource, compareSlice) }} /> }
                     </div>);
             }
 
+            // accessible description of the cell: time, values, and events
+            let label = cockpit.format("$0, $1: ", moment(startTime + minute * 60000).format("LT"), RESOURCE_COLUMNS[resource]);
+            if (first) {
+                label += ["use_" + resource, "sat_" + resource]
+                        .filter(type => RESOURCES[type] && summarize(rawSlice, type, aggregate, info) !== null)
+                        .map(type => cockpit.format("$0 $1", RESOURCES[type].name, summarize(rawSlice, type, aggregate, info)))
+                        .join(", ");
+            } else {
+                label += _("No data");
+            }
+            const cell_events = (minute_events[minute] || []).filter(e => e.type.endsWith("_" + resource));
+            if (cell_events.length > 0)
+                label += "; " + cell_events.map(eventText).join(", ");
+
             graphs.push(
                 <div
                     key={ resource + startTime + minute }
                     className={ ("metrics-data metrics-data-" + resource) + (first ? " valid-data" : " empty-data") + (have_sat ? " have-saturation" : "") }
                     style={{ "--metrics-minute": minute }}
-                    aria-hidden="true"
+                    data-minute={minute}
+                    data-resource={resource}
+                    role="button"
+                    tabIndex={ minute === focusMinute && resource === columns[0] ? 0 : -1 }
+                    aria-label={label}
+                    onKeyDown={ ev => onKeyDown(ev, minute, resource) }
+                    onMouseDown={ ev => { if (first) { ev.preventDefault(); onZoomStart(startTime + (minute * 60000)) } } }
+                    onMouseUp={ () => first && onZoomEnd(startTime + (minute * 60000)) }
                 >
                     {graph}
                 </div>);
         });
     }
 
-    // FIXME: throttle-debounce this
-    const updateTooltip = ev => {
-        // event usually happens on an <svg> or its child, so also consider the parent elements
-        let el = ev.target;
-        let dataElement = null;
-        for (let i = 0; i < 3; ++i) {
-            if (el.classList.contains("metrics-data")) {
-                dataElement = el;
-                break;
-            } else {
-                if (el.parentElement)
-                    el = el.parentElement;
-                else
-                    break;
-            }
-        }
-
-        const hourElement = document.getElementById("metrics-hour-" + startTime.toString());
-
-        if (dataElement) {
-            const minute = parseInt(el.style.getPropertyValue("--metrics-minute"));
-            const bounds = dataElement.getBoundingClientRect();
-            const offsetY = (ev.clientY - bounds.y) / bounds.height;
-            const indexOffset = Math.floor((1 - offsetY) * SAMPLES_PER_MIN);
-            const sample = data[minute * SAMPLES_PER_MIN + indexOffset];
-            if (sample === null) {
-                hourElement.removeAttribute("title");
-                return;
-            }
-
-            const time = moment(startTime + minute * 60000 + indexOffset * INTERVAL).format("LTS");
-            let tooltip = time + "\n\n";
-            for (const t in sample) {
-                const v = sample[t];
-                if (v !== null && v !== undefined)
-                    tooltip += `${RESOURCES[t].name}: ${RESOURCES[t].format(v)}\n`;
-            }
-            hourElement.setAttribute("title", tooltip);
-        } else {
-            hourElement.removeAttribute("title");
-        }
-    };
-
     return (
-        <div id={ "metrics-hour-" + startTime.toString() } className="metrics-hour" onMouseMove={updateTooltip}>
+        <MetricsHourHover
+            id={ "metrics-hour-" + startTime.toString() }
+            aria-label={ moment(startTime).format("LT ddd YYYY-MM-DD") }
+            startTime={startTime}
+            data={data}
+            interval={interval}
+            info={info}>
+            { selectedMinute !== null && <div className="metrics-selected-minute" style={{ "--metrics-minute": selectedMinute }} /> }
             { events }
             { graphs }
-            <h3 className="metrics-time"><time>{ moment(startTime).format("LT ddd YYYY-MM-DD") }</time></h3>
-        </div>
+            { heading }
+        </MetricsHourHover>
     );
 };
 
+// add the YYYY-MM-DD dates from start to end (timestamps in ms) to a Set of days
+const addDays = (days, start, end) => {
+    for (const day = moment(start).startOf('day'); day.valueOf() <= end; day.add(1, 'days'))
+        days.add(day.format("YYYY-MM-DD"));
+};
+
+// resolves to a Set of YYYY-MM-DD dates that have archive data: each archive covers the days from its first
+// until its last sample
+function archive_days(host) {
+    return archiveSpans(host)
+            .then(spans => {
+                const days = new Set();
+                spans.forEach(({ start, end }) => addDays(days, start, end));
+                debug("archive_days: archive spans", JSON.stringify(spans));
+                return days;
+            });
+}
+
 class MetricsHistory extends React.Component {
     constructor(props) {
         super(props);
-        // metrics data: hour timestamp → array of SAMPLES_PER_H objects of { type → value } or null
+        // metrics data: hour timestamp → array of (MSEC_PER_H / interval) objects of { type → value } or null
         this.data = {};
         // timestamp of the most recent sample that we got (for auto-refresh)
         this.most_recent = 0;
         // Oldest read data
         this.oldest_timestamp = 0;
-        // Timestamp representing today midnight to calculate other days for date select
+        // Timestamp representing today midnight, for the "Today" range
         this.today_midnight = null;
+        // resource with per-instance metrics → Set of all instance names seen so far
+        this.instances = { disks: new Set(), network: new Set() };
+        // start of the initial range, when the URL does not specify one
+        this.default_start = null;
+        // minute where a mouse drag on the graphs started, for zooming into a range
+        this.zoom_start = null;
+        // archive days of the machine itself, for going back from an imported archive
+        this.live_days = null;
+        this.unmounted = false;
+        // temporary directory { path, close } of an uploaded archive, see importArchive()
+        this.imported = null;
+        // hours which have been on screen, and their last rendered height in px
+        this.seen_hours = new Set();
+        this.hour_heights = {};
+        // hours whose data got dropped by evictData(), and the ones of them which are being loaded again
+        this.evicted_hours = new Set();
+        this.reloading_hours = new Set();
+        // format of an export which waits for dropped hours to be loaded again
+        this.export_pending = null;
+        // hour → { inputs, types } of its last computed baseline, see hourBaseline()
+        this.baselines = {};
+        // most recent hour which came into view, for deciding which data to drop
+        this.visible_hour = null;
+        // data of the compared range, like this.data, and its hours which are being loaded
+        this.compare_data = {};
+        this.compare_loading = new Set();
+        this.bottom_ref = React.createRef();
 
         this.state = {
             hours: [], // available hours for rendering in descending order
             loading: true, // show loading indicator
             metricsAvailable: true,
             error: null,
-            isDatepickerOpened: false,
-            selectedDate: null,
+            selectedRange: null, // { start, end } timestamps; end is null for following new data
+            availableDays: null, // Set of YYYY-MM-DD dates with archive data, null if unknown
+            info: { cpus: 1 }, // { cpus, memTotal } of the machine, see hostInfo()
+            archive: null, // { path, start, end } of an imported archive which is shown instead of the machine's own, see findArchive()
+            isArchiveOpen: false,
+            instances: { disks: [], network: [] }, // resource with per-instance metrics → sorted instance names
+            selectedInstances: { disks: null, network: null }, // resource with per-instance metrics → instance name, or null for all
+            selectedTime: null, // timestamp of the minute to scroll to and highlight, from the URL
+            isExportOpen: false,
+            interval: DEFAULT_INTERVAL, // ms between samples
+            thresholds: loadThresholds(Object.keys(RESOURCES), props.host),
+            anomaly: loadAnomaly(props.host), // { mode, deviations }, see thresholds.jsx
+            isThresholdsOpen: false,
+            scaling: loadScaling(SCALED_TYPES, props.host), // type → { log, max }, see scaling.jsx
+            isScalingOpen: false,
+            zoomRange: null, // { start, end } timestamps within one hour for the detail chart
+            aggregate: "max", // how compressed minutes summarize their samples, key of AGGREGATES
+            tableHours: new Set(), // hours which are shown as data table instead of graphs
+            offscreenHours: new Set(), // hours which are rendered as empty placeholders, as they are far off screen
+            compare: "", // key of COMPARE_OFFSETS, or "" for not comparing
+            compareDay: "", // YYYY-MM-DD of the compared range for the "custom" offset
+            compareVersion: 0, // bumped when compared data got loaded, for re-rendering
         };
 
         this.handleMoreData = this.handleMoreData.bind(this);
-        this.handleToggle = this.handleToggle.bind(this);
-        this.handleSelect = this.handleSelect.bind(this);
+        this.handleRangeChange = this.handleRangeChange.bind(this);
+        this.handleInstanceSelect = this.handleInstanceSelect.bind(this);
+        this.handleSelectTime = this.handleSelectTime.bind(this);
+        this.handleExport = this.handleExport.bind(this);
+        this.handleIntervalChange = this.handleIntervalChange.bind(this);
+        this.handleThresholdsSave = this.handleThresholdsSave.bind(this);
+        this.handleScalingSave = this.handleScalingSave.bind(this);
+        this.handleArchiveOpen = this.handleArchiveOpen.bind(this);
+        this.handleZoomStart = this.handleZoomStart.bind(this);
+        this.handleZoomEnd = this.handleZoomEnd.bind(this);
+        this.handleZoom = this.handleZoom.bind(this);
+        this.onLocationChanged = this.onLocationChanged.bind(this);
+        this.onScroll = this.onScroll.bind(this);
+        this.onHoursIntersect = this.onHoursIntersect.bind(this);
+
+        // hours get replaced with placeholders when they are more than a few screens away
+        this.hour_observer = new IntersectionObserver(this.onHoursIntersect, { rootMargin: "300% 0px" });
+    }
 
-        // load and render the last 24 hours (plus current one) initially; this needs numCpu initialized for correct scaling
-        // FIXME: load less up-front, load more when scrolling
-        machine_info_promise.then(() => {
-            cockpit.spawn(["date", "+%s"])
+    componentDidMount() {
+        // load and render the last LOAD_HOURS hours (plus current one) initially, and earlier ones when scrolling down;
+        // this needs the machine's info for correct scaling
+        hostInfo(this.props.host).then(info => {
+            if (this.unmounted)
+                return;
+            this.setState({ info });
+            cockpit.spawn(["date", "+%s"], hostOptions(this.props.host))
                     .then(out => {
+                        if (this.unmounted)
+                            return;
                         const now = parseInt(out.trim()) * 1000;
                         const current_hour = Math.floor(now / MSEC_PER_H) * MSEC_PER_H;
-                        this.load_data(current_hour - LOAD_HOURS * MSEC_PER_H, undefined, true);
                         this.today_midnight = new Date(current_hour).setHours(0, 0, 0, 0);
-                        this.setState({
-                            selectedDate: this.today_midnight,
-                        });
+                        this.default_start = current_hour - LOAD_HOURS * MSEC_PER_H;
+                        // restore range and position from the URL, if given
+                        cockpit.addEventListener("locationchanged", this.onLocationChanged);
+                        this.onLocationChanged();
                     })
-                    .catch(ex => this.setState({ error: ex.toString() }));
+                    .catch(ex => !this.unmounted && this.setState({ error: ex.toString() }));
+        })
+                .catch(() => !this.unmounted && this.setState({ error: _("Cannot connect to the machine") }));
+
+        archive_days(this.props.host)
+                .then(availableDays => {
+                    if (this.unmounted)
+                        return;
+                    this.live_days = availableDays;
+                    if (!this.state.archive)
+                        this.setState({ availableDays });
+                })
+                .catch(ex => console.warn("Failed to list metrics archives:", ex.toString()));
+
+        // the page scrolls in some container, and scroll events don't bubble
+        window.addEventListener("scroll", this.onScroll, true);
+    }
+
+    componentDidUpdate() {
+        // observing an already observed element does nothing, so this only picks up newly rendered hours
+        document.querySelectorAll("[id^='metrics-hour-']").forEach(el => this.hour_observer.observe(el));
+    }
+
+    componentWillUnmount() {
+        this.unmounted = true;
+        cockpit.removeEventListener("locationchanged", this.onLocationChanged);
+        window.removeEventListener("scroll", this.onScroll, true);
+        this.hour_observer.disconnect();
+        if (this.history_refresh_timer)
+            window.clearTimeout(this.history_refresh_timer);
+        if (this.imported)
+            this.imported.close();
+    }
+
+    // load earlier data when the end of the history gets close to the visible area
+    onScroll() {
+        if (this.state.loading || !this.bottom_ref.current || this.state.hours.length === 0)
+            return;
+        if (this.bottom_ref.current.getBoundingClientRect().top > window.innerHeight + SCROLL_LOAD_MARGIN)
+            return;
+
+        // don't go on beyond the oldest archive; the button still allows that
+        if (this.state.availableDays && this.state.availableDays.size > 0) {
+            const oldest_day = Array.from(this.state.availableDays).sort()[0];
+            if (this.oldest_timestamp <= moment(oldest_day, "YYYY-MM-DD").valueOf())
+                return;
+        }
+
+        this.handleMoreData();
+    }
+
+    // turn hours which went far off screen into placeholders, and render them again when they come back
+    onHoursIntersect(entries) {
+        const offscreenHours = new Set(this.state.offscreenHours);
+        entries.forEach(entry => {
+            // replaced by a placeholder or the other way around
+            if (!entry.target.isConnected) {
+                this.hour_observer.unobserve(entry.target);
+                return;
+            }
+
+            const hour = parseInt(entry.target.id.replace("metrics-hour-", ""));
+            if (entry.isIntersecting) {
+                this.seen_hours.add(hour);
+                this.visible_hour = hour;
+                offscreenHours.delete(hour);
+                if (this.evicted_hours.has(hour))
+                    this.reloadHour(hour);
+            } else if (this.seen_hours.has(hour) && !offscreenHours.has(hour)) {
+                // keep hours which were never on screen, so that freshly loaded data is there right away
+                this.hour_heights[hour] = entry.boundingClientRect.height;
+                offscreenHours.add(hour);
+            }
         });
+
+        if (offscreenHours.size !== this.state.offscreenHours.size ||
+            Array.from(offscreenHours).some(hour => !this.state.offscreenHours.has(hour)))
+            this.setState({ offscreenHours });
     }
 
-    handleMoreData() {
-        this.load_data(this.oldest_timestamp - (LOAD_HOURS * MSEC_PER_H), LOAD_HOURS * SAMPLES_PER_H, true);
+    // load the data of an hour again, after it was dropped by evictData()
+    reloadHour(hour) {
+        if (this.reloading_hours.has(hour))
+            return;
+        debug("reloading dropped hour", hour, "=", moment(hour).format());
+        this.reloading_hours.add(hour);
+        this.load_data(hour, MSEC_PER_H / this.state.interval, false);
+    }
+
+    // drop the data of off-screen hours which are furthest away from the visible ones, until it fits into DATA_BUDGET;
+    // they get loaded again when scrolling back to them
+    evictData() {
+        let total = Object.values(this.data).reduce((acc, hourData) => acc + hourData.length, 0);
+        // an export needs all of its hours at once
+        if (total <= DATA_BUDGET || this.export_pending)
+            return;
+
+        // keep the hours of the selected minute and of the detail chart
+        const keep = [this.state.selectedTime, this.state.zoomRange && this.state.zoomRange.start]
+                .filter(time => time)
+                .map(time => Math.floor(time / MSEC_PER_H) * MSEC_PER_H);
+        const center = this.visible_hour || this.state.hours[0];
+        const offset = this.compareOffset();
+        const candidates = Array.from(this.state.offscreenHours)
+                .filter(hour => this.data[hour] && keep.indexOf(hour) < 0)
+                .sort((a, b) => Math.abs(b - center) - Math.abs(a - center));
+        for (const hour of candidates) {
+            if (total <= DATA_BUDGET)
+                break;
+            debug("dropping data of hour", hour, "=", moment(hour).format());
+            total -= this.data[hour].length;
+            delete this.data[hour];
+            this.evicted_hours.add(hour);
+            if (offset !== null)
+                delete this.compare_data[hour - offset];
+        }
+    }
+
+    // metrics1 source of the history
+    source() {
+        return this.state.archive ? this.state.archive.path : "pcp-archive";
+    }
+
+    // switch to an imported archive directory, or back to the machine's own archives for null
+    openArchive(path) {
+        // an uploaded archive gets removed when leaving it
+        if (this.imported && path !== this.imported.path && !(path || "").startsWith(this.imported.path + "/")) {
+            this.imported.close();
+            this.imported = null;
+        }
+
+        if (!path) {
+            this.setState({ archive: null, availableDays: this.live_days, error: null }, this.onLocationChanged);
+            return;
+        }
+
+        this.setState({ loading: true });
+        findArchive(path, this.props.host)
+                .then(archive => {
+                    // all days within the archive's time span
+                    const availableDays = new Set();
+                    addDays(availableDays, archive.start, archive.end);
+                    this.setState({ archive, availableDays }, this.onLocationChanged);
+                })
+                .catch(ex => this.setState({ error: cockpit.format(_("Cannot open archive $0: $1"), path, ex.message || ex.toString()) }));
+    }
+
+    handleArchiveOpen(path, imported) {
+        if (imported) {
+            if (this.imported)
+                this.imported.close();
+            this.imported = imported;
+        }
+        this.setState({ isArchiveOpen: false });
+        cockpit.location.go(cockpit.location.path, { archive: path });
+    }
+
+    // start of the initial range, when the URL does not specify one; an imported archive starts at its first hour
+    defaultStart() {
+        return this.state.archive ? Math.floor(this.state.archive.start / MSEC_PER_H) * MSEC_PER_H : this.default_start;
     }
 
-    handleToggle(isOpen) {
-        this.setState({ isDatepickerOpened: isOpen });
+    // URL options: start and end of the range, and "at" for the selected minute, all as timestamps in ms;
+    // "interval" for the sampling resolution in ms; "archive" for the directory of an imported archive
+    onLocationChanged() {
+        const options = cockpit.location.options;
+
+        // the range of an imported archive depends on its time span, so that needs to be known first
+        if ((options.archive || null) !== (this.state.archive && this.state.archive.path)) {
+            this.openArchive(options.archive || null);
+            return;
+        }
+
+        const parse = name => options[name] && !isNaN(parseInt(options[name])) ? parseInt(options[name]) : null;
+        const start = parse("start") || this.defaultStart();
+        const end = parse("end") || (this.state.archive ? this.state.archive.end : null);
+        const interval = INTERVALS.indexOf(parse("interval")) >= 0 ? parse("interval") : DEFAULT_INTERVAL;
+
+        const prevInterval = this.state.interval;
+        this.setState({ selectedTime: parse("at"), interval }, () => {
+            const range = this.state.selectedRange;
+            if (!range || range.start !== start || range.end !== end || interval !== prevInterval)
+                this.handleRangeChange(start, end, false);
+            else
+                this.scrollToSelectedTime();
+        });
     }
 
-    handleSelect(e, sel) {
+    // put current range, resolution, and selected minute into the URL, so that it can be bookmarked and navigated back to
+    updateLocation(range, selectedTime, interval) {
+        const options = {};
+        if (this.state.archive)
+            options.archive = this.state.archive.path;
+        if (range.start !== this.defaultStart() || range.end)
+            options.start = range.start.toString();
+        if (range.end)
+            options.end = range.end.toString();
+        if (selectedTime)
+            options.at = selectedTime.toString();
+        interval = interval || this.state.interval;
+        if (interval !== DEFAULT_INTERVAL)
+            options.interval = interval.toString();
+        cockpit.location.go(cockpit.location.path, options);
+    }
+
+    handleSelectTime(time) {
+        this.updateLocation(this.state.selectedRange, time);
+    }
+
+    handleIntervalChange(interval) {
+        // this reloads the range through onLocationChanged()
+        this.updateLocation(this.state.selectedRange, this.state.selectedTime, interval);
+    }
+
+    handleToggleTable(hour) {
+        this.setState(prevState => {
+            const tableHours = new Set(prevState.tableHours);
+            if (tableHours.has(hour))
+                tableHours.delete(hour);
+            else
+                tableHours.add(hour);
+            return { tableHours };
+        });
+    }
+
+    handleZoomStart(time) {
+        this.zoom_start = time;
+    }
+
+    // a click zooms into a minute, dragging into a range of minutes within the same hour
+    handleZoomEnd(time) {
+        let start = this.zoom_start;
+        this.zoom_start = null;
+        if (start === null || Math.floor(start / MSEC_PER_H) !== Math.floor(time / MSEC_PER_H))
+            start = time;
+        this.handleZoom(Math.min(start, time), Math.max(start, time) + 60000);
+    }
+
+    handleZoom(start, end) {
+        this.setState({ zoomRange: { start, end } });
+        this.handleSelectTime(start);
+    }
+
+    // detail chart for the zoomRange
+    renderZoom() {
+        const { start, end } = this.state.zoomRange;
+        const hour = Math.floor(start / MSEC_PER_H) * MSEC_PER_H;
+        if (!this.data[hour])
+            return null;
+
+        const interval = this.state.interval;
+        const begin = Math.floor((start - hour) / interval);
+        const samples = this.filterInstances(this.data[hour]).slice(begin, Math.max(Math.ceil((end - hour) / interval), begin + 1));
+        return (
+            <DetailChart
+                title={ cockpit.format("$0 – $1", moment(start).format("ddd ll LT"), moment(end).format("LT")) }
+                start={hour + begin * interval}
+                interval={interval}
+                samples={samples}
+                resources={RESOURCES}
+                info={this.state.info}
+                onClose={() => this.setState({ zoomRange: null })} />
+        );
+    }
+
+    scrollToSelectedTime() {
+        const time = this.state.selectedTime;
+        if (!time)
+            return;
+
+        const hourElement = document.getElementById("metrics-hour-" + (Math.floor(time / MSEC_PER_H) * MSEC_PER_H).toString());
+        if (!hourElement)
+            return;
+        const minute = Math.floor((time % MSEC_PER_H) / 60000);
+        const minuteElement = Array.from(hourElement.querySelectorAll(".metrics-data-cpu"))
+                .find(el => parseInt(el.style.getPropertyValue("--metrics-minute")) === minute);
+        // the hour may be a placeholder whose data needs to be loaded again first
+        if (minuteElement)
+            minuteElement.scrollIntoView({ block: "center" });
+        else
+            hourElement.scrollIntoView();
+    }
+
+    handleMoreData() {
+        const range = { ...this.state.selectedRange, start: this.oldest_timestamp - (LOAD_HOURS * MSEC_PER_H) };
+        this.setState({ selectedRange: range });
+        this.updateLocation(range, this.state.selectedTime);
+        this.load_data(range.start, LOAD_HOURS * MSEC_PER_H / this.state.interval, true);
+    }
+
+    // end is null for following new data; update_location is false when the range comes from the URL
+    handleRangeChange(start, end, update_location) {
         // Stop fetching of new data
         if (this.history_refresh_timer !== null) {
             window.clearTimeout(this.history_refresh_timer);
             this.history_refresh_timer = null;
         }
 
+        // only show samples from within the range
+        this.data = {};
+        this.most_recent = 0;
         this.oldest_timestamp = 0;
+        this.seen_hours = new Set();
+        this.hour_heights = {};
+        this.evicted_hours = new Set();
+        this.reloading_hours = new Set();
+        this.export_pending = null;
+        this.baselines = {};
+        this.visible_hour = null;
+        this.compare_data = {};
+        this.compare_loading = new Set();
+
+        if (update_location !== false)
+            this.updateLocation({ start, end }, null);
 
         this.setState({
-            selectedDate: sel,
-            isDatepickerOpened: false,
+            selectedRange: { start, end },
             hours: [],
-        }, () => this.load_data(sel, sel === this.today_midnight ? undefined : 24 * SAMPLES_PER_H, true));
+            offscreenHours: new Set(),
+        }, () => this.load_data(start, end ? Math.ceil((end - start) / this.state.interval) : undefined, true));
+    }
+
+    handleInstanceSelect(resource, instance) {
+        this.setState(prevState => ({ selectedInstances: { ...prevState.selectedInstances, [resource]: instance || null } }));
+    }
+
+    // restrict per-instance values in an hour's data to the selected instances
+    filterInstances(hourData) {
+        const selected = Object.keys(this.state.selectedInstances).filter(resource => this.state.selectedInstances[resource]);
+        if (selected.length === 0)
+            return hourData;
+
+        return hourData.map(sample => {
+            if (!sample)
+                return sample;
+            const filtered = { ...sample };
+            selected.forEach(resource => {
+                const instance = this.state.selectedInstances[resource];
+                ["use_" + resource, "sat_" + resource].forEach(type => {
+                    if (filtered[type] && RESOURCES[type].per_instance)
+                        filtered[type] = filtered[type][instance] !== undefined ? { [instance]: filtered[type][instance] } : null;
+                });
+            });
+            return filtered;
+        });
+    }
+
+    handleThresholdsSave(thresholds, anomaly) {
+        saveThresholds(thresholds, this.props.host);
+        saveAnomaly(anomaly, this.props.host);
+        this.setState({ thresholds, anomaly, isThresholdsOpen: false });
+    }
+
+    // ms between the shown and the compared range, a multiple of an hour; null when not comparing
+    compareOffset() {
+        const { compare, compareDay, selectedRange } = this.state;
+        if (!compare || !selectedRange)
+            return null;
+        if (compare !== "custom")
+            return parseInt(compare);
+        if (!compareDay)
+            return null;
+        const offset = moment(selectedRange.start).startOf("day")
+                .diff(moment(compareDay, "YYYY-MM-DD"));
+        return offset > 0 ? Math.round(offset / MSEC_PER_H) * MSEC_PER_H : null;
+    }
+
+    handleCompareChange(compare, compareDay) {
+        this.compare_data = {};
+        this.compare_loading = new Set();
+        this.setState({ compare, compareDay }, () => this.loadCompareHours(this.state.hours));
+    }
+
+    // load the hours of the compared range which belong to the given shown hours
+    loadCompareHours(hours) {
+        const offset = this.compareOffset();
+        if (offset === null)
+            return;
+        const missing = hours.map(hour => hour - offset).filter(hour => !this.compare_data[hour] && !this.compare_loading.has(hour));
+        if (missing.length === 0)
+            return;
+
+        missing.forEach(hour => this.compare_loading.add(hour));
+        const start = Math.min(...missing);
+        const end = Math.max(...missing) + MSEC_PER_H;
+        this.load_data(start, (end - start) / this.state.interval, false, true);
     }
 
-    load_data(load_timestamp, limit, show_spinner) {
+    handleScalingSave(scaling) {
+        saveScaling(scaling, this.props.host);
+        this.setState({ scaling, isScalingOpen: false });
+    }
+
+    // baseline for anomaly detection in the given hour, from the previous hour or the same hour on up to a week of
+    // previous days, as far as they are loaded; null if disabled or there is no data
+    hourBaseline(hour, scales) {
+        const { mode, deviations } = this.state.anomaly;
+        let hours;
+        if (mode === "moving")
+            hours = [hour - MSEC_PER_H];
+        else if (mode === "daily")
+            hours = [1, 2, 3, 4, 5, 6, 7].map(days => hour - days * 24 * MSEC_PER_H);
+        else
+            return null;
+
+        hours = hours.filter(h => this.data[h] && this.data[h].length > 0);
+        if (hours.length === 0)
+            return null;
+
+        // computing it is expensive, so only do that again when something which it depends on changed; the data
+        // arrays get replaced when loading them again, and grow with new samples
+        const inputs = [mode, this.state.interval, JSON.stringify(scales), JSON.stringify(this.state.selectedInstances), this.state.info];
+        hours.forEach(h => inputs.push(this.data[h], this.data[h].length));
+        const cached = this.baselines[hour];
+        if (!cached || cached.inputs.length !== inputs.length || cached.inputs.some((input, i) => input !== inputs[i]))
+            this.baselines[hour] = { inputs, types: computeBaseline(hours.map(h => this.filterInstances(this.data[h])), this.state.interval, scales, this.state.info) };
+
+        const description = mode === "moving"
+            ? _("previous hour")
+            : cockpit.format(cockpit.ngettext("same hour on the previous day", "same hour on $0 previous days", hours.length), hours.length);
+        return {
+            types: this.baselines[hour].types,
+            description,
+            deviations,
+        };
+    }
+
+    // download the samples within the selected range in raw units; format is "csv" or "json"
+    handleExport(format) {
+        this.setState({ isExportOpen: false });
+
+        // hours dropped by evictData() need to be loaded again first; load_data() then calls exportData()
+        const range = this.state.selectedRange;
+        const dropped = this.state.hours.filter(hour => this.evicted_hours.has(hour) &&
+                                                        hour + MSEC_PER_H > range.start && (!range.end || hour <= range.end));
+        if (dropped.length > 0) {
+            debug("loading dropped hours for export:", JSON.stringify(dropped));
+            this.export_pending = format;
+            dropped.forEach(hour => this.reloadHour(hour));
+            return;
+        }
+
+        this.exportData(format);
+    }
+
+    exportData(format) {
+        const range = this.state.selectedRange;
+        const columns = new Set();
+        const rows = [];
+        // hours are in descending order
+        this.state.hours.slice().reverse()
+                .forEach(hour => {
+                    this.data[hour].forEach((sample, i) => {
+                        const timestamp = hour + i * this.state.interval;
+                        if (!sample || timestamp < range.start || (range.end && timestamp > range.end))
+                            return;
+                        const values = {};
+                        for (const type in sample) {
+                            if (sample[type] !== null && sample[type] !== undefined)
+                                Object.assign(values, RESOURCES[type].columns(sample[type]));
+                        }
+                        Object.keys(values).forEach(column => columns.add(column));
+                        rows.push({ timestamp, values });
+                    });
+                });
+
+        const filename = "metrics-" + moment(range.start).format("YYYYMMDD-HHmm") + "." + format;
+        debug("exporting", rows.length, "samples to", filename);
+        if (format === "csv")
+            exporter.download(filename, "text/csv", exporter.toCSV(Array.from(columns), rows));
+        else
+            exporter.download(filename, "application/json", exporter.toJSON(Array.from(columns), rows, this.state.interval));
+    }
+
+    // compare is true for loading hours of the compared range into this.compare_data
+    load_data(load_timestamp, limit, show_spinner, compare) {
         if (show_spinner)
             this.setState({ loading: true });
 
-        this.oldest_timestamp = this.oldest_timestamp > load_timestamp || this.oldest_timestamp === 0 ? load_timestamp : this.oldest_timestamp;
+        // the compared range does not affect the shown one
+        const store = compare ? this.compare_data : this.data;
+
+        const interval = this.state.interval;
+        const samples_per_h = MSEC_PER_H / interval;
+
+        if (!compare)
+            this.oldest_timestamp = this.oldest_timestamp > load_timestamp || this.oldest_timestamp === 0 ? load_timestamp : this.oldest_timestamp;
         let current_hour; // hour of timestamp, from most recent meta message
         let hour_index; // index within data[current_hour] array
         const current_sample = []; // last valid value, for decompression
+        let disk_devices = []; // instance names of disk.dev.*_bytes, from most recent meta message
+        let queue_devices = []; // instance names of disk.dev.aveq, from most recent meta message
+        let network_interfaces = []; // instance names of network.interface.total.bytes, from most recent meta message
         const new_hours = new Set(); // newly seen hours during this load
-        this.history_refresh_timer = null;
+        // only the following of new data has a refresh timer
+        if (!limit)
+            this.history_refresh_timer = null;
 
         const metrics = cockpit.channel({
             payload: "metrics1",
-            interval: INTERVAL,
-            source: "pcp-archive",
+            interval,
+            source: this.source(),
             timestamp: load_timestamp,
             limit: limit,
             metrics: HISTORY_METRICS,
+            ...hostOptions(this.props.host),
         });
 
         metrics.addEventListener("message", (event, message) => {
@@ -768,11 +2402,11 @@ class MetricsHistory extends React.Component {
             message = JSON.parse(message);
 
             const init_current_hour = () => {
-                if (!this.data[current_hour])
-                    this.data[current_hour] = [];
+                if (!store[current_hour])
+                    store[current_hour] = [];
 
                 // When limit is considered only add hours in this time range
-                if (!limit || load_timestamp + (limit * INTERVAL) >= current_hour)
+                if (!limit || load_timestamp + (limit * interval) >= current_hour)
                     new_hours.add(current_hour);
             };
 
@@ -780,8 +2414,18 @@ class MetricsHistory extends React.Component {
             if (!Array.isArray(message)) {
                 current_hour = Math.floor(message.timestamp / MSEC_PER_H) * MSEC_PER_H;
                 init_current_hour();
-                hour_index = Math.floor((message.timestamp - current_hour) / INTERVAL);
-                console.assert(hour_index < SAMPLES_PER_H);
+                hour_index = Math.floor((message.timestamp - current_hour) / interval);
+                console.assert(hour_index < samples_per_h);
+
+                console.assert(message.metrics[7].name === 'disk.dev.read_bytes');
+                disk_devices = message.metrics[7].instances.slice();
+                disk_devices.forEach(dev => this.instances.disks.add(dev));
+                console.assert(message.metrics[9].name === 'disk.dev.aveq');
+                queue_devices = message.metrics[9].instances.slice();
+
+                console.assert(message.metrics[10].name === 'network.interface.total.bytes');
+                network_interfaces = message.metrics[10].instances.slice();
+                network_interfaces.forEach(iface => this.instances.network.add(iface));
 
                 debug("message is metadata; time stamp", message.timestamp, "=", moment(message.timestamp).format(), "for current_hour", current_hour, "=", moment(current_hour).format(), "hour_index", hour_index);
                 return;
@@ -794,33 +2438,50 @@ class MetricsHistory extends React.Component {
 
                 /* don't overwrite existing data with null data; this often happens at the first
                  * data point when "rate" metrics cannot be calculated yet */
-                if (typeof current_sample[0] !== 'number' && this.data[current_hour][hour_index]) {
-                    debug("load_data", load_timestamp, ": ignoring sample #", i, ":", JSON.stringify(current_sample), "current data sample", JSON.stringify(this.data[current_hour][hour_index]));
+                if (typeof current_sample[0] !== 'number' && store[current_hour][hour_index]) {
+                    debug("load_data", load_timestamp, ": ignoring sample #", i, ":", JSON.stringify(current_sample), "current data sample", JSON.stringify(store[current_hour][hour_index]));
                     return;
                 }
 
-                // TODO: eventually track/display this by-interface?
-                const use_network = current_sample[8].reduce((acc, cur) => acc + cur, 0);
+                const use_disks = {};
+                disk_devices.forEach((dev, k) => {
+                    if (typeof current_sample[7][k] === 'number' && typeof current_sample[8][k] === 'number')
+                        use_disks[dev] = [current_sample[7][k], current_sample[8][k]];
+                });
+                const sat_disks = {};
+                queue_devices.forEach((dev, k) => {
+                    if (typeof current_sample[9][k] === 'number')
+                        sat_disks[dev] = current_sample[9][k];
+                });
+
+                const use_network = {};
+                const sat_network = {};
+                network_interfaces.forEach((iface, k) => {
+                    if (typeof current_sample[10][k] === 'number')
+                        use_network[iface] = current_sample[10][k];
+                    if (typeof current_sample[11][k] === 'number' && typeof current_sample[12][k] === 'number')
+                        sat_network[iface] = [current_sample[11][k], current_sample[12][k]];
+                });
                 const sat_cpu = typeof current_sample[3][1] === 'number' ? current_sample[3][1] : null; // instances: (15min, 1min, 5min), pick 1min
 
-                this.data[current_hour][hour_index] = {
-                    use_cpu: typeof current_sample[2] === 'number' ? [current_sample[0], current_sample[1], current_sample[2]] : null,
+                const cpu_irq = typeof current_sample[15] === 'number' && typeof current_sample[16] === 'number'
+                    ? current_sample[15] + current_sample[16]
+                    : null;
+
+                store[current_hour][hour_index] = {
+                    use_cpu: typeof current_sample[2] === 'number'
+                        ? [current_sample[0], current_sample[1], current_sample[2], current_sample[13], current_sample[14], cpu_irq]
+                        : null,
                     sat_cpu,
                     use_memory: typeof current_sample[5] === 'number' ? [current_sample[4], current_sample[5]] : null,
                     sat_memory: current_sample[6],
-                    use_disks: current_sample[7],
+                    use_disks,
+                    sat_disks,
                     use_network,
+                    sat_network,
                 };
 
-                // keep track of maximums of unbounded values, for dynamic scaling
-                if (sat_cpu > scaleSatCPU)
-                    scaleSatCPU = scaleForValue(sat_cpu);
-                if (current_sample[7] > scaleUseDisks)
-                    scaleUseDisks = scaleForValue(current_sample[7]);
-                if (use_network > scaleUseNetwork)
-                    scaleUseNetwork = scaleForValue(use_network);
-
-                if (++hour_index === SAMPLES_PER_H) {
+                if (++hour_index === samples_per_h) {
                     current_hour += MSEC_PER_H;
                     hour_index = 0;
                     init_current_hour();
@@ -829,12 +2490,24 @@ class MetricsHistory extends React.Component {
             });
 
             // update most recent sample timestamp
-            this.most_recent = Math.max(this.most_recent, current_hour + (hour_index - 5) * INTERVAL);
+            if (!compare)
+                this.most_recent = Math.max(this.most_recent, current_hour + (hour_index - 5) * interval);
             debug("most recent timestamp is now", this.most_recent, "=", moment(this.most_recent).format());
         });
 
         metrics.addEventListener("close", (event, message) => {
-            if (message.problem) {
+            if (compare) {
+                // the compared range may just not have data
+                if (message.problem)
+                    debug("loading compared range at", moment(load_timestamp).format(), "failed:", message.problem);
+                // remember hours without data as loaded too
+                for (let hour = load_timestamp; hour < load_timestamp + limit * interval; hour += MSEC_PER_H) {
+                    if (!store[hour])
+                        store[hour] = [];
+                    this.compare_loading.delete(hour);
+                }
+                this.setState(prevState => ({ compareVersion: prevState.compareVersion + 1 }));
+            } else if (message.problem) {
                 this.setState({
                     loading: false,
                     metricsAvailable: false,
@@ -846,8 +2519,24 @@ class MetricsHistory extends React.Component {
                 const hours = Array.from(new Set([...this.state.hours, ...new_hours]));
                 // sort in descending order
                 hours.sort((a, b) => b - a);
+                const instances = {};
+                for (const resource in this.instances)
+                    instances[resource] = Array.from(this.instances[resource]).sort();
+                new_hours.forEach(hour => {
+                    if (this.reloading_hours.delete(hour))
+                        this.evicted_hours.delete(hour);
+                });
+                if (this.export_pending && this.reloading_hours.size === 0) {
+                    this.exportData(this.export_pending);
+                    this.export_pending = null;
+                }
+                this.evictData();
+                this.loadCompareHours(Array.from(new_hours));
                 // re-render
-                this.setState({ hours, loading: false });
+                this.setState({ hours, instances, loading: false }, () => {
+                    if (show_spinner)
+                        this.scrollToSelectedTime();
+                });
 
                 // trigger automatic update every minute
                 if (!limit)
@@ -876,7 +2565,39 @@ class MetricsHistory extends React.Component {
             return <EmptyStatePanel
                         icon={ExclamationCircleIcon}
                         title={_("Error has occurred")}
-                        paragraph={this.state.error} />;
+                        paragraph={this.state.error}
+                        action={ cockpit.location.options.archive &&
+                            <Button variant="link" onClick={() => cockpit.location.go(cockpit.location.path)}>{_("Show metrics of this machine")}</Button> } />;
+
+        // the hour with the selected minute always gets rendered, for scrolling to it
+        const selectedHour = this.state.selectedTime ? Math.floor(this.state.selectedTime / MSEC_PER_H) * MSEC_PER_H : null;
+
+        // scale unbounded resources to the rendered hours
+        const renderedHours = this.state.hours.filter(hour => !this.evicted_hours.has(hour) &&
+                                                              (!this.state.offscreenHours.has(hour) || hour === selectedHour));
+        // the compared range gets the same scales, so that both can be compared
+        const compareOffset = this.compareOffset();
+        const compareHourData = hour => compareOffset !== null && this.compare_data[hour - compareOffset]
+            ? this.filterInstances(this.compare_data[hour - compareOffset])
+            : null;
+        const scaledHours = renderedHours.map(hour => this.filterInstances(this.data[hour]));
+        renderedHours.forEach(hour => compareHourData(hour) && scaledHours.push(compareHourData(hour)));
+        const scales = computeScales(scaledHours, this.state.scaling, this.state.info);
+
+        let compareSummary = null;
+        if (compareOffset !== null) {
+            const loaded = this.state.hours.filter(hour => !this.evicted_hours.has(hour) && compareHourData(hour));
+            const range = this.state.selectedRange;
+            compareSummary = (
+                <CompareSummary
+                    stats={ rangeStats(loaded.map(hour => this.filterInstances(this.data[hour])), RESOURCES, this.state.info) }
+                    compareStats={ rangeStats(loaded.map(compareHourData), RESOURCES, this.state.info) }
+                    resources={RESOURCES}
+                    loading={this.compare_loading.size > 0}
+                    description={ cockpit.format(_("Compared with $0 – $1"), moment(range.start - compareOffset).format("ddd YYYY-MM-DD LT"),
+                                                 moment((range.end || this.most_recent) - compareOffset).format("ddd YYYY-MM-DD LT")) } />
+            );
+        }
 
         let nodata_alert = null;
         if (!this.state.loading && this.state.hours.length > 0 && this.oldest_timestamp < this.state.hours[this.state.hours.length - 1]) {
@@ -894,26 +2615,50 @@ class MetricsHistory extends React.Component {
         if (!this.state.loading && this.state.hours.length === 0)
             nodata_alert = <EmptyStatePanel icon={ExclamationCircleIcon} title={_("No data available")} />;
 
-        const options = [<SelectOption key={this.today_midnight} value={this.today_midnight}>{_("Today")}</SelectOption>];
-        const date = moment(this.today_midnight);
-        for (let i = 0; i < 14; i++) {
-            date.subtract(1, 'days');
-            options.push(
-                <SelectOption
-                    key={date.format("x")}
-                    value={Math.floor(date.format("X") * 1000)}>
-                    {date.format("dddd, ll")}
-                </SelectOption>
+        const instanceSelect = (resource, id, label, allLabel) => {
+            if (this.state.instances[resource].length < 2)
+                return null;
+            return (
+                <FormSelect
+                    id={id}
+                    className="metrics-instance-select"
+                    aria-label={label}
+                    value={ this.state.selectedInstances[resource] || "" }
+                    onChange={ value => this.handleInstanceSelect(resource, value) }>
+                    <FormSelectOption value="" label={allLabel} />
+                    { this.state.instances[resource].map(name => <FormSelectOption key={name} value={name} label={name} />) }
+                </FormSelect>
             );
-        }
+        };
+
+        // current scale of a resource type, if it is scaled
+        const scaleText = type => {
+            const scale = scales[type];
+            if (!scale)
+                return null;
+            const max = RESOURCES[type].chart.format(scale.max);
+            if (scale.pinned)
+                return scale.log ? cockpit.format(_("log, fixed $0"), max) : cockpit.format(_("fixed $0"), max);
+            return scale.log ? cockpit.format(_("log, max $0"), max) : cockpit.format(_("max $0"), max);
+        };
 
         function Label(props) {
+            const types = ["use_" + props.resource, "sat_" + props.resource];
             return (
                 <div className={"metrics-label metrics-label-graph" + (props.items.length > 1 ? " have-saturation" : "")}>
                     <span>{props.label}</span>
+                    {props.children}
                     <span className="metrics-sublabels">
-                        { props.items.map(i => <span key={i}>{i}</span>) }
+                        { props.items.map((item, idx) => (
+                            <span key={item}>
+                                {item}
+                                { idx === 0 && props.split && <span className="metrics-sublabel-split">{props.split}</span> }
+                            </span>)) }
                     </span>
+                    { types.some(type => scales[type]) &&
+                        <span className="metrics-sublabels metrics-scales">
+                            { props.items.map((item, idx) => <span key={item} data-resource={types[idx]}>{ scaleText(types[idx]) }</span>) }
+                        </span> }
                 </div>
             );
         }
@@ -922,31 +2667,152 @@ class MetricsHistory extends React.Component {
             <div className="metrics">
                 <div className="metrics-history-heading-sticky">
                     <section className="metrics-history metrics-history-heading">
-                        <Select
-                            className="select-min metrics-label"
-                            aria-label={_("Jump to")}
-                            onToggle={this.handleToggle}
-                            onSelect={this.handleSelect}
-                            isOpen={this.state.isDatepickerOpened}
-                            selections={this.state.selectedDate}
-                            toggleId="date-picker-select-toggle"
-                        >
-                            {options}
-                        </Select>
-                        <Label label={_("CPU")} items={[_("Usage"), _("Load")]} />
-                        <Label label={_("Memory")} items={[_("Usage"), _("Swap")]} />
-                        <Label label={_("Disks")} items={[_("Usage")]} />
-                        <Label label={_("Network")} items={[_("Usage")]} />
+                        <div className="metrics-label metrics-history-actions">
+                            { this.state.selectedRange &&
+                                <RangePicker
+                                    start={this.state.selectedRange.start}
+                                    end={this.state.selectedRange.end}
+                                    today_midnight={this.today_midnight}
+                                    availableDays={this.state.availableDays}
+                                    onChange={this.handleRangeChange} /> }
+                            <FormSelect
+                                id="metrics-interval"
+                                className="select-min"
+                                aria-label={_("Resolution")}
+                                value={this.state.interval}
+                                onChange={value => this.handleIntervalChange(parseInt(value))}>
+                                { INTERVALS.map(interval => <FormSelectOption key={interval} value={interval} label={intervalLabel(interval)} />) }
+                            </FormSelect>
+                            <FormSelect
+                                id="metrics-aggregate"
+                                className="select-min"
+                                aria-label={_("Summary of compressed minutes")}
+                                value={this.state.aggregate}
+                                onChange={aggregate => this.setState({ aggregate })}>
+                                { Object.keys(AGGREGATES).map(kind => <FormSelectOption key={kind} value={kind} label={AGGREGATES[kind]} />) }
+                            </FormSelect>
+                            <Dropdown
+                                id="metrics-export"
+                                isOpen={this.state.isExportOpen}
+                                toggle={
+                                    <DropdownToggle
+                                        id="metrics-export-toggle"
+                                        isDisabled={this.state.hours.length === 0}
+                                        onToggle={isExportOpen => this.setState({ isExportOpen })}>
+                                        {_("Export")}
+                                    </DropdownToggle>
+                                }
+                                dropdownItems={[
+                                    <DropdownItem key="csv" id="metrics-export-csv" onClick={() => this.handleExport("csv")}>{_("Export as CSV")}</DropdownItem>,
+                                    <DropdownItem key="json" id="metrics-export-json" onClick={() => this.handleExport("json")}>{_("Export as JSON")}</DropdownItem>,
+                                ]} />
+                            <FormSelect
+                                id="metrics-compare"
+                                className="select-min"
+                                aria-label={_("Compare with")}
+                                value={this.state.compare}
+                                onChange={compare => this.handleCompareChange(compare, this.state.compareDay)}>
+                                <FormSelectOption value="" label={_("No comparison")} />
+                                { Object.keys(COMPARE_OFFSETS).map(key => <FormSelectOption key={key} value={key} label={COMPARE_OFFSETS[key]} />) }
+                            </FormSelect>
+                            { this.state.compare === "custom" &&
+                                <TextInput
+                                    id="metrics-compare-day"
+                                    type="date"
+                                    aria-label={_("Compared day")}
+                                    value={this.state.compareDay}
+                                    onChange={compareDay => this.handleCompareChange("custom", compareDay)} /> }
+                            <Button id="metrics-thresholds-button" variant="secondary" onClick={() => this.setState({ isThresholdsOpen: true })}>
+                                {_("Thresholds")}
+                            </Button>
+                            { this.state.isThresholdsOpen &&
+                                <ThresholdsDialog
+                                    thresholds={this.state.thresholds}
+                                    anomaly={this.state.anomaly}
+                                    resources={ Object.keys(RESOURCES).reduce((names, type) => ({ ...names, [type]: RESOURCES[type].name }), {}) }
+                                    onSave={this.handleThresholdsSave}
+                                    onClose={() => this.setState({ isThresholdsOpen: false })} /> }
+                            <Button id="metrics-scaling-button" variant="secondary" onClick={() => this.setState({ isScalingOpen: true })}>
+                                {_("Scaling")}
+                            </Button>
+                            { this.state.isScalingOpen &&
+                                <ScalingDialog
+                                    scaling={this.state.scaling}
+                                    resources={ SCALED_TYPES.reduce((resources, type) => ({ ...resources, [type]: { name: RESOURCES[type].name, ...RESOURCES[type].scale } }), {}) }
+                                    onSave={this.handleScalingSave}
+                                    onClose={() => this.setState({ isScalingOpen: false })} /> }
+                            <Button id="metrics-archive-button" variant="secondary" onClick={() => this.setState({ isArchiveOpen: true })}>
+                                {_("Open archive")}
+                            </Button>
+                            { this.state.isArchiveOpen &&
+                                <ArchiveDialog
+                                    host={this.props.host}
+                                    onOpen={this.handleArchiveOpen}
+                                    onClose={() => this.setState({ isArchiveOpen: false })} /> }
+                        </div>
+                        <Label label={_("CPU")} resource="cpu" items={[_("Usage"), _("Load")]} />
+                        <Label label={_("Memory")} resource="memory" items={[_("Usage"), _("Swap")]} />
+                        <Label label={_("Disks")} resource="disks" items={[_("Read"), _("Queue")]} split={RESOURCES.use_disks.split.name}>
+                            { instanceSelect("disks", "metrics-disk-device", _("Disk device"), _("All devices")) }
+                        </Label>
+                        <Label label={_("Network")} resource="network" items={[_("Usage"), _("Errors")]}>
+                            { instanceSelect("network", "metrics-network-interface", _("Network interface"), _("All interfaces")) }
+                        </Label>
                     </section>
                 </div>
+                { this.state.archive &&
+                    <Alert
+                        id="metrics-archive-banner"
+                        variant="info"
+                        isInline
+                        title={ cockpit.format(_("Showing imported archive $0"), this.state.archive.path) }
+                        actionLinks={
+                            <AlertActionLink onClick={() => cockpit.location.go(cockpit.location.path)}>{_("Show metrics of this machine")}</AlertActionLink>
+                        }>
+                        { cockpit.format(_("The archive covers $0 – $1. These are not the current metrics of this machine."),
+                                         moment(this.state.archive.start).format("ddd YYYY-MM-DD LT"), moment(this.state.archive.end).format("ddd YYYY-MM-DD LT")) }
+                    </Alert> }
+                { this.state.hours.length > 0 && compareSummary }
                 { this.state.hours.length > 0 &&
                     <Card>
                         <CardBody className="metrics-history">
-                            { this.state.hours.map(time => <MetricsHour key={time} startTime={parseInt(time)} data={this.data[time]} />) }
+                            { this.state.hours.map(time => {
+                                // far off screen, or data was dropped
+                                if (this.evicted_hours.has(time) || (this.state.offscreenHours.has(time) && time !== selectedHour))
+                                    return <div key={time} id={ "metrics-hour-" + time } className="metrics-hour-placeholder" style={{ height: this.hour_heights[time] }} />;
+                                return (
+                                    <MetricsHour
+                                        key={time}
+                                        host={this.props.host}
+                                        source={this.source()}
+                                        alerts={ this.state.archive ? [] : this.props.alerts.filter(alert => alert.time >= parseInt(time) && alert.time < parseInt(time) + MSEC_PER_H) }
+                                        startTime={parseInt(time)}
+                                        data={this.filterInstances(this.data[time])}
+                                        interval={this.state.interval}
+                                        thresholds={this.state.thresholds}
+                                        scales={scales}
+                                        info={this.state.info}
+                                        baseline={this.hourBaseline(parseInt(time), scales)}
+                                        aggregate={this.state.aggregate}
+                                        selectedTime={this.state.selectedTime}
+                                        onSelectTime={this.handleSelectTime}
+                                        onZoomStart={this.handleZoomStart}
+                                        onZoomEnd={this.handleZoomEnd}
+                                        onZoom={this.handleZoom}
+                                        showTable={this.state.tableHours.has(time)}
+                                        onToggleTable={() => this.handleToggleTable(time)}
+                                        compareTime={ compareOffset !== null ? time - compareOffset : null }
+                                        compareData={ compareHourData(time) } />
+                                );
+                            }) }
                         </CardBody>
                     </Card> }
+                { this.state.zoomRange && this.renderZoom() }
                 {nodata_alert}
-                <div className="bottom-panel">
+                <div className="pf-u-screen-reader" aria-live="polite">
+                    { this.state.loading ? _("Loading...") : cockpit.format(cockpit.ngettext("$0 hour of metrics", "$0 hours of metrics", this.state.hours.length), this.state.hours.length) }
+                </div>
+                <div className="bottom-panel" ref={this.bottom_ref}>
                     { this.state.loading
                         ? <EmptyStatePanel loading title={_("Loading...")} />
                         : <Button onClick={this.handleMoreData}>{_("Load earlier data")}</Button> }
@@ -956,18 +2822,180 @@ class MetricsHistory extends React.Component {
     }
 }
 
-export const Application = () => (
-    <Page breadcrumb={
-        <Breadcrumb>
-            <BreadcrumbItem onClick={() => cockpit.jump("/system")} to="#">{_("Overview")}</BreadcrumbItem>
-            <BreadcrumbItem isActive>{_("Performance Metrics")}</BreadcrumbItem>
-        </Breadcrumb>
-    }>
-        <PageSection>
-            <CurrentMetrics />
-        </PageSection>
-        <PageSection>
-            <MetricsHistory />
-        </PageSection>
-    </Page>
-);
+// current metrics and history of a machine, with alerts on the current values
+class HostMetrics extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            rules: [], // alert rules of the machine, see alerts.jsx
+            alerts: loadFiredAlerts(props.host), // fired alerts, most recent first
+            isRulesOpen: false,
+        };
+        this.evaluator = new AlertEvaluator();
+
+        this.onValues = this.onValues.bind(this);
+        this.handleDismiss = this.handleDismiss.bind(this);
+        this.handlePmieAlerts = this.handlePmieAlerts.bind(this);
+        this.handleRulesSave = this.handleRulesSave.bind(this);
+    }
+
+    componentDidMount() {
+        this.rules_watch = watchAlertRules(this.props.host, rules => this.setState({ rules }));
+    }
+
+    componentWillUnmount() {
+        this.rules_watch.remove();
+    }
+
+    onValues(values) {
+        const fired = this.evaluator.check(this.state.rules, values);
+        if (fired.length === 0)
+            return;
+
+        fired.forEach(alert => {
+            if (this.state.rules.find(rule => rule.id === alert.rule).notify)
+                notifyAlert(alert);
+        });
+        this.updateAlerts(alerts => fired.concat(alerts));
+    }
+
+    updateAlerts(update) {
+        this.setState(prevState => {
+            const alerts = update(prevState.alerts);
+            saveFiredAlerts(alerts, this.props.host);
+            return { alerts };
+        });
+    }
+
+    handleDismiss(id) {
+        this.updateAlerts(alerts => id === null ? [] : alerts.filter(alert => alert.id !== id));
+    }
+
+    // alerts from the pmie log join the others, until dismissed
+    handlePmieAlerts(pmieAlerts) {
+        const added = unseenAlerts(pmieAlerts, this.props.host);
+        if (added.length > 0)
+            this.updateAlerts(alerts => mergeFiredAlerts(alerts, added));
+    }
+
+    handleRulesSave(rules) {
+        return saveAlertRules(rules, this.props.host)
+                .then(() => this.setState({ isRulesOpen: false }));
+    }
+
+    render() {
+        return (
+            <>
+                <PageSection>
+                    <AlertsList
+                        alerts={this.state.alerts}
+                        rules={this.state.rules}
+                        onDismiss={this.handleDismiss}
+                        onEditRules={() => this.setState({ isRulesOpen: true })} />
+                    { this.state.isRulesOpen &&
+                        <AlertRulesDialog
+                            rules={this.state.rules}
+                            onSave={this.handleRulesSave}
+                            onClose={() => this.setState({ isRulesOpen: false })} /> }
+                    <PmieRules host={this.props.host} onAlerts={this.handlePmieAlerts} />
+                    <CurrentMetrics host={this.props.host} alerting={this.state.rules.length > 0} onValues={this.onValues} />
+                </PageSection>
+                <PageSection>
+                    <MetricsHistory host={this.props.host} alerts={this.state.alerts} />
+                </PageSection>
+            </>
+        );
+    }
+}
+
+// URL path of the local machine, the dashboard of all hosts, and of a managed host
+const hostPath = host => host ? ["host", host] : [];
+const DASHBOARD_PATH = ["hosts"];
+
+export class Application extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            hosts: [{ address: null, label: _("Local machine") }], // [{ address, label }], see listHosts()
+            path: cockpit.location.path,
+        };
+
+        this.onLocationChanged = this.onLocationChanged.bind(this);
+
+        listHosts()
+                .then(hosts => this.setState({ hosts }))
+                .catch(ex => console.warn("Failed to list machines:", ex.toString()));
+    }
+
+    componentDidMount() {
+        cockpit.addEventListener("locationchanged", this.onLocationChanged);
+    }
+
+    componentWillUnmount() {
+        cockpit.removeEventListener("locationchanged", this.onLocationChanged);
+    }
+
+    onLocationChanged() {
+        // MetricsHistory changes the options on scrolling; only react to a different host
+        if (cockpit.location.path.join("/") !== this.state.path.join("/"))
+            this.setState({ path: cockpit.location.path });
+    }
+
+    render() {
+        const path = this.state.path;
+        const isDashboard = path[0] === DASHBOARD_PATH[0];
+        const host = path[0] === "host" && path[1] ? path[1] : null;
+        const hosts = this.state.hosts.slice();
+        // also allow URLs of hosts which are not (or not yet) known
+        if (host && !hosts.find(h => h.address === host))
+            hosts.push({ address: host, label: host });
+
+        const hostSelect = (
+            <FormSelect
+                id="metrics-host"
+                className="select-min"
+                aria-label={_("Machine")}
+                value={ (isDashboard ? DASHBOARD_PATH : hostPath(host)).join("/") }
+                onChange={value => cockpit.location.go(value ? value.split("/") : [])}>
+                <FormSelectOption value="" label={_("Local machine")} />
+                <FormSelectOption value={DASHBOARD_PATH.join("/")} label={_("All machines")} />
+                { hosts.filter(h => h.address).map(h => <FormSelectOption key={h.address} value={hostPath(h.address).join("/")} label={h.label} />) }
+            </FormSelect>
+        );
+
+        let content;
+        if (isDashboard) {
+            content = (
+                <PageSection>
+                    <Gallery id="metrics-hosts" className="metrics-hosts" hasGutter>
+                        { hosts.map(h =>
+                            <CurrentMetrics
+                                key={h.address || ""}
+                                host={h.address}
+                                label={h.label}
+                                summary
+                                onSelect={() => cockpit.location.go(hostPath(h.address))} />) }
+                    </Gallery>
+                </PageSection>
+            );
+        } else {
+            // remount everything for a different host
+            content = <HostMetrics key={host || ""} host={host} />;
+        }
+
+        return (
+            <Page breadcrumb={
+                <Breadcrumb>
+                    <BreadcrumbItem onClick={() => cockpit.jump("/system")} to="#">{_("Overview")}</BreadcrumbItem>
+                    <BreadcrumbItem isActive>{_("Performance Metrics")}</BreadcrumbItem>
+                </Breadcrumb>
+            }>
+                <PageSection className="metrics-host-toolbar">
+                    <label htmlFor="metrics-host">{ _("Machine") }</label>
+                    { hostSelect }
+                </PageSection>
+                { content }
+            </Page>
+        );
+    }
+}
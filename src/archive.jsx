@@ -0,0 +1,268 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import React from 'react';
+import {
+    Alert,
+    Button,
+    FileUpload,
+    Form, FormGroup,
+    Modal, ModalVariant,
+    TextInput,
+} from '@patternfly/react-core';
+
+import { hostOptions } from "./hosts.js";
+
+const _ = cockpit.gettext;
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+// pmdumplog -L -Z UTC label line, like "    commencing Tue Sep  1 04:59:45.125 2020"
+const LABEL_RE = /^\s*(commencing|ending)\s+\w+ (\w+) +(\d+) (\d+):(\d+):(\d+)(\.\d+)? (\d+)$/;
+
+// { label, time } in ms of a label line, or null for other lines
+function parseLabel(line) {
+    const match = line.match(LABEL_RE);
+    if (!match)
+        return null;
+    const [, label, month, day, hour, min, sec, frac, year] = match;
+    return {
+        label,
+        time: Date.UTC(Number(year), MONTHS.indexOf(month), Number(day), Number(hour), Number(min), Number(sec),
+                       Math.round(Number(frac || 0) * 1000)),
+    };
+}
+
+// first directory below path with archive metadata, then the start and end labels of all archives in it
+const FIND_ARCHIVE_SCRIPT = `
+[ -d "$1" ] && [ -r "$1" ] || { echo "$1: No such file or directory" >&2; exit 1; }
+dir=$(find "$1" -name '*.meta*' -printf '%h\\n' | sort | head -n1)
+[ -n "$dir" ] || exit 0
+echo "$dir"
+for meta in "$dir"/*.meta*; do pmdumplog -L -Z UTC "\${meta%.meta*}"; done | grep -E '^ *(commencing|ending) ' || true
+`;
+
+/* resolves to { path, start, end } of the PCP archives in path or one of its subdirectories on host, with the
+ * archive directory (usable as metrics1 source) and the timestamps in ms of the first and last sample
+ */
+export function findArchive(path, host) {
+    return cockpit.script(FIND_ARCHIVE_SCRIPT, [path], { err: "message", ...hostOptions(host) })
+            .then(output => {
+                const lines = output.trim().split("\n");
+                const dir = lines.shift();
+                if (!dir)
+                    return Promise.reject(new Error(cockpit.format(_("No PCP archive found in $0"), path)));
+
+                let start = null;
+                let end = null;
+                lines.forEach(line => {
+                    const { label, time } = parseLabel(line) || {};
+                    if (!label)
+                        return;
+                    if (label === "commencing")
+                        start = start === null ? time : Math.min(start, time);
+                    else
+                        end = end === null ? time : Math.max(end, time);
+                });
+                if (start === null || end === null)
+                    return Promise.reject(new Error(cockpit.format(_("Cannot read the time span of the archive in $0"), dir)));
+
+                return { path: dir, start, end };
+            });
+}
+
+// start and end labels of pmlogger's own archives, one after the other for each archive
+const LIST_ARCHIVES_SCRIPT = `
+find /var/log/pcp/pmlogger -name '*.index' | while read -r index; do
+    pmdumplog -L -Z UTC "\${index%.index}"
+done | grep -E '^ *(commencing|ending) ' || true
+`;
+
+// resolves to a list of { start, end } timestamps in ms of the first and last sample of each of pmlogger's archives on host
+export function archiveSpans(host) {
+    return cockpit.script(LIST_ARCHIVES_SCRIPT, [], { err: "message", ...hostOptions(host) })
+            .then(output => {
+                const spans = [];
+                let start = null;
+                output.split("\n").forEach(line => {
+                    const { label, time } = parseLabel(line) || {};
+                    if (label === "commencing") {
+                        start = time;
+                    } else if (label === "ending" && start !== null) {
+                        spans.push({ start, end: time });
+                        start = null;
+                    }
+                });
+                return spans;
+            });
+}
+
+// a temporary directory which only exists as long as the script runs, i.e. until its channel gets closed
+const TEMP_DIR_SCRIPT = `
+dir=$(mktemp -d /var/tmp/cockpit-metrics-archive.XXXXXX) || exit 1
+trap 'rm -rf "$dir"' EXIT
+trap 'exit 1' HUP INT TERM
+echo "$dir"
+cat >/dev/null
+`;
+
+const UPLOAD_CHUNK_SIZE = 64 * 1024;
+
+/* resolves to { path, close } of a new temporary directory on host; close() removes it, and so does the end of
+ * the session
+ */
+function tempDirectory(host) {
+    return new Promise((resolve, reject) => {
+        let output = "";
+        const proc = cockpit.script(TEMP_DIR_SCRIPT, [], { err: "message", ...hostOptions(host) });
+        proc.stream(data => {
+            output += data;
+            if (output.indexOf("\n") >= 0)
+                resolve({ path: output.trim(), close: () => proc.close() });
+        });
+        proc.catch(reject);
+    });
+}
+
+// write a File to path on host piece by piece, without reading all of it into memory
+function uploadFile(file, path, host) {
+    return new Promise((resolve, reject) => {
+        const channel = cockpit.channel({ payload: "fsreplace1", path, binary: true, ...hostOptions(host) });
+        channel.addEventListener("close", (event, options) => {
+            if (options.problem)
+                reject(new Error(options.message || options.problem));
+            else
+                resolve();
+        });
+
+        const send = offset => {
+            if (offset >= file.size) {
+                channel.control({ command: "done" });
+                return;
+            }
+            file.slice(offset, offset + UPLOAD_CHUNK_SIZE).arrayBuffer()
+                    .then(data => {
+                        channel.send(new Uint8Array(data));
+                        send(offset + UPLOAD_CHUNK_SIZE);
+                    })
+                    .catch(ex => {
+                        channel.close();
+                        reject(ex);
+                    });
+        };
+        send(0);
+    });
+}
+
+/* resolves to a temporary directory { path, close } on host with the extracted contents of an archive tarball
+ * File, see tempDirectory()
+ */
+export function importArchive(file, host) {
+    return tempDirectory(host)
+            .then(dir => uploadFile(file, dir.path + "/archive.tar", host)
+                    .then(() => cockpit.script('tar -xf "$1/archive.tar" -C "$1" && rm "$1/archive.tar"', [dir.path],
+                                               { err: "message", ...hostOptions(host) }))
+                    .then(() => dir)
+                    .catch(ex => {
+                        dir.close();
+                        return Promise.reject(ex);
+                    }));
+}
+
+/* Choose a PCP archive directory on the machine, or upload a tarball with one
+ * onOpen: called with the path of the directory, and for uploads the temporary directory { path, close } with it
+ */
+export class ArchiveDialog extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            path: "",
+            file: null, // File to upload, takes precedence over path
+            filename: "",
+            busy: false,
+            error: null,
+        };
+        this.onOpen = this.onOpen.bind(this);
+    }
+
+    onOpen() {
+        this.setState({ busy: true, error: null });
+        const imported = this.state.file ? importArchive(this.state.file, this.props.host) : Promise.resolve(null);
+        imported
+                .then(dir => findArchive(dir ? dir.path : this.state.path.trim(), this.props.host)
+                        .then(archive => this.props.onOpen(archive.path, dir))
+                        .catch(ex => {
+                            if (dir)
+                                dir.close();
+                            return Promise.reject(ex);
+                        }))
+                .catch(ex => this.setState({ busy: false, error: ex.message || ex.toString() }));
+    }
+
+    render() {
+        return (
+            <Modal
+                id="metrics-archive-dialog"
+                variant={ModalVariant.medium}
+                title={_("Open archive")}
+                description={_("Show the metrics of PCP archives from another machine, for example from pmlogger's log directory.")}
+                isOpen
+                onClose={this.props.onClose}
+                actions={[
+                    <Button
+                        key="open"
+                        variant="primary"
+                        isLoading={this.state.busy}
+                        isDisabled={this.state.busy || !(this.state.file || this.state.path.trim())}
+                        onClick={this.onOpen}>
+                        {_("Open")}
+                    </Button>,
+                    <Button key="cancel" variant="link" onClick={this.props.onClose}>{_("Cancel")}</Button>,
+                ]}>
+                { this.state.error && <Alert variant="danger" isInline title={this.state.error} /> }
+                <Form isHorizontal onSubmit={ e => { e.preventDefault(); return false } }>
+                    <FormGroup
+                        fieldId="metrics-archive-path"
+                        label={_("Directory")}
+                        helperText={_("Path on the machine which contains the archive files")}>
+                        <TextInput
+                            id="metrics-archive-path"
+                            value={this.state.path}
+                            isDisabled={!!this.state.file}
+                            placeholder="/var/log/pcp/pmlogger/"
+                            onChange={path => this.setState({ path })} />
+                    </FormGroup>
+                    <FormGroup
+                        fieldId="metrics-archive-upload"
+                        label={_("Upload")}
+                        helperText={_("Tarball with the archive files, like .tar.gz or .tar.xz")}>
+                        <FileUpload
+                            id="metrics-archive-upload"
+                            value={this.state.file || ""}
+                            filename={this.state.filename}
+                            hideDefaultPreview
+                            browseButtonText={_("Browse...")}
+                            clearButtonText={_("Clear")}
+                            onChange={(file, filename) => this.setState({ file: file || null, filename })} />
+                    </FormGroup>
+                </Form>
+            </Modal>
+        );
+    }
+}
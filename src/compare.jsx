@@ -0,0 +1,129 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import React from 'react';
+import { Card, CardTitle, CardBody } from '@patternfly/react-core';
+
+import { EmptyStatePanel } from "../lib/cockpit-components-empty-state.jsx";
+
+const _ = cockpit.gettext;
+
+const MSEC_PER_H = 3600000;
+
+// predefined time offsets of the compared range, in ms; "custom" compares with a chosen day
+export const COMPARE_OFFSETS = {
+    [24 * MSEC_PER_H]: _("Previous day"),
+    [7 * 24 * MSEC_PER_H]: _("Previous week"),
+    custom: _("Custom day"),
+};
+
+/* type → { avg, peak } in chart units over all samples of the given hours, for the types which have data
+ * hoursData: array of hour data arrays of { type → raw value } or null
+ * resources: type → resource description with chart: { value }, see RESOURCES
+ * info: { cpus, memTotal } of the machine, for chart.value
+ */
+export function rangeStats(hoursData, resources, info) {
+    const stats = {};
+    for (const type in resources) {
+        let sum = 0;
+        let count = 0;
+        let peak = -Infinity;
+        hoursData.forEach(data => data.forEach(sample => {
+            if (!sample || sample[type] === null || sample[type] === undefined)
+                return;
+            const value = resources[type].chart.value(sample[type], info);
+            sum += value;
+            count += 1;
+            peak = Math.max(peak, value);
+        }));
+        if (count > 0)
+            stats[type] = { avg: sum / count, peak };
+    }
+    return stats;
+}
+
+// relative change from compared to current value, like "+12%"
+const formatChange = (current, compared) => {
+    if (compared === 0)
+        return current === 0 ? "±0%" : "–";
+    const percent = Math.round((current - compared) / Math.abs(compared) * 100);
+    return (percent > 0 ? "+" : (percent === 0 ? "±" : "")) + cockpit.format("$0%", percent);
+};
+
+/* Average and peak of each resource in the shown and the compared range, with their differences
+ * stats, compareStats: from rangeStats()
+ * resources: type → resource description with name and chart: { format }
+ * description: which ranges are compared
+ * loading: hours of the compared range are still being loaded, so the stats are incomplete
+ */
+export const CompareSummary = ({ stats, compareStats, resources, description, loading }) => {
+    const types = Object.keys(resources).filter(type => stats[type] && compareStats[type]);
+
+    if (loading || types.length === 0)
+        return (
+            <Card id="metrics-compare-summary">
+                <CardTitle>{ description }</CardTitle>
+                <CardBody>
+                    { loading ? <EmptyStatePanel loading title={_("Loading...")} /> : <p>{ _("No data available") }</p> }
+                </CardBody>
+            </Card>
+        );
+
+    const table = (
+        <table className="pf-c-table pf-m-compact pf-m-grid-md" aria-label={description}>
+            <thead>
+                <tr>
+                    <th scope="col">{_("Resource")}</th>
+                    <th scope="col">{_("Average")}</th>
+                    <th scope="col">{_("Compared average")}</th>
+                    <th scope="col">{_("Change")}</th>
+                    <th scope="col">{_("Peak")}</th>
+                    <th scope="col">{_("Compared peak")}</th>
+                    <th scope="col">{_("Change")}</th>
+                </tr>
+            </thead>
+            <tbody>
+                { types.map(type => {
+                    const format = resources[type].chart.format;
+                    const cur = stats[type];
+                    const cmp = compareStats[type];
+                    return (
+                        <tr key={type} data-resource={type}>
+                            <th scope="row">{resources[type].name}</th>
+                            <td data-label={_("Average")}>{ format(cur.avg) }</td>
+                            <td data-label={_("Compared average")}>{ format(cmp.avg) }</td>
+                            <td data-label={_("Change")} className="metrics-compare-avg-change">{ formatChange(cur.avg, cmp.avg) }</td>
+                            <td data-label={_("Peak")}>{ format(cur.peak) }</td>
+                            <td data-label={_("Compared peak")}>{ format(cmp.peak) }</td>
+                            <td data-label={_("Change")} className="metrics-compare-peak-change">{ formatChange(cur.peak, cmp.peak) }</td>
+                        </tr>
+                    );
+                }) }
+            </tbody>
+        </table>
+    );
+
+    return (
+        <Card id="metrics-compare-summary">
+            <CardTitle>{ description }</CardTitle>
+            <CardBody>{ table }</CardBody>
+        </Card>
+    );
+};
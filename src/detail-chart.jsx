@@ -0,0 +1,139 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import React from 'react';
+import moment from "moment";
+import { Modal, ModalVariant } from '@patternfly/react-core';
+
+const _ = cockpit.gettext;
+
+// SVG coordinate system; stretched to the element size
+const WIDTH = 1000;
+const HEIGHT = 100;
+
+/* Time series charts of all resources for a short time range, with axes and hover values
+ * start: timestamp of the first sample
+ * interval: ms between samples
+ * samples: array of { type → raw value } or null
+ * resources: type → resource description with name, format, and chart: { value, format, max }, see RESOURCES
+ * info: { cpus, memTotal } of the machine, for chart.value and chart.max
+ */
+export class DetailChart extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { hover: null }; // index of the sample under the mouse
+
+        this.onMouseMove = this.onMouseMove.bind(this);
+    }
+
+    x(index) {
+        return this.props.samples.length > 1 ? index / (this.props.samples.length - 1) * WIDTH : WIDTH / 2;
+    }
+
+    onMouseMove(ev) {
+        const bounds = ev.currentTarget.getBoundingClientRect();
+        const offset = Math.min(Math.max((ev.clientX - bounds.left) / bounds.width, 0), 1);
+        this.setState({ hover: Math.round(offset * (this.props.samples.length - 1)) });
+    }
+
+    render() {
+        const { start, interval, samples, resources, info } = this.props;
+        const time = index => start + index * interval;
+        const hovered = this.state.hover !== null ? samples[this.state.hover] : null;
+
+        const charts = Object.keys(resources).map(type => {
+            const chart = resources[type].chart;
+            const values = samples.map(s => s && s[type] !== null && s[type] !== undefined ? chart.value(s[type], info) : null);
+            const max = chart.max ? chart.max(info) : (Math.max(0, ...values.filter(v => v !== null)) || 1);
+            const y = v => HEIGHT - Math.min(v / max, 1) * HEIGHT;
+
+            // split into lines at missing samples; stretch isolated samples over half a step to each side
+            const step = WIDTH / Math.max(samples.length - 1, 1);
+            const lines = [[]];
+            values.forEach((v, i) => {
+                if (v === null) {
+                    if (lines[lines.length - 1].length > 0)
+                        lines.push([]);
+                } else {
+                    lines[lines.length - 1].push([this.x(i), y(v)]);
+                }
+            });
+            const points = line => (line.length === 1
+                ? [[Math.max(line[0][0] - step / 2, 0), line[0][1]], [Math.min(line[0][0] + step / 2, WIDTH), line[0][1]]]
+                : line).map(p => p.join(",")).join(" ");
+
+            return (
+                <div key={type} className="metrics-zoom-chart" data-resource={type}>
+                    <div className="metrics-zoom-axis">
+                        <span className="metrics-zoom-name">{resources[type].name}</span>
+                        <span className="metrics-zoom-max">{chart.format(max)}</span>
+                        <span className="metrics-zoom-min">{chart.format(0)}</span>
+                    </div>
+                    <svg
+                        xmlns="http://www.w3.org/2000/svg"
+                        viewBox={ "0 0 " + WIDTH + " " + HEIGHT }
+                        preserveAspectRatio="none"
+                        onMouseMove={this.onMouseMove}
+                        onMouseLeave={() => this.setState({ hover: null })}>
+                        { lines.filter(line => line.length > 0).map((line, i) => <polyline key={i} points={points(line)} vectorEffect="non-scaling-stroke" />) }
+                        { this.state.hover !== null &&
+                            <line className="metrics-zoom-crosshair" x1={this.x(this.state.hover)} x2={this.x(this.state.hover)} y1="0" y2={HEIGHT} vectorEffect="non-scaling-stroke" /> }
+                    </svg>
+                </div>
+            );
+        });
+
+        let hoverValues = <dt>{_("Move the mouse over the charts to see the values of a sample")}</dt>;
+        if (hovered) {
+            hoverValues = [
+                <dt key="time">{_("Time")}</dt>,
+                <dd key="time-value">{ moment(time(this.state.hover)).format("LTS") }</dd>,
+            ];
+            Object.keys(resources).forEach(type => {
+                if (hovered[type] === null || hovered[type] === undefined)
+                    return;
+                hoverValues.push(<dt key={type}>{resources[type].name}</dt>);
+                hoverValues.push(<dd key={type + "-value"} data-resource={type}>{resources[type].format(hovered[type])}</dd>);
+            });
+        }
+
+        const last = samples.length - 1;
+        return (
+            <Modal
+                id="metrics-zoom-dialog"
+                variant={ModalVariant.large}
+                title={this.props.title}
+                isOpen
+                onClose={this.props.onClose}>
+                <div className="metrics-zoom">
+                    { charts }
+                    <div className="metrics-zoom-time-axis">
+                        <time>{ moment(time(0)).format("LTS") }</time>
+                        <time>{ moment(time(last / 2)).format("LTS") }</time>
+                        <time>{ moment(time(last)).format("LTS") }</time>
+                    </div>
+                </div>
+                <dl className="metrics-zoom-values" aria-live="polite">
+                    { hoverValues }
+                </dl>
+            </Modal>
+        );
+    }
+}
@@ -0,0 +1,56 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/* Export of metrics samples. Rows are { timestamp, values: { column name → number } },
+ * columns is the ordered list of all column names; rows may miss some of them.
+ */
+
+// quote CSV fields which contain separators or quotes
+const csvField = field => /[",\n]/.test(field) ? '"' + field.replace(/"/g, '""') + '"' : field;
+
+export function toCSV(columns, rows) {
+    const lines = [["timestamp", ...columns].map(csvField).join(",")];
+    rows.forEach(row => {
+        const fields = columns.map(column => row.values[column] !== undefined ? row.values[column].toString() : "");
+        lines.push([new Date(row.timestamp).toISOString(), ...fields].join(","));
+    });
+    return lines.join("\n") + "\n";
+}
+
+export function toJSON(columns, rows, interval) {
+    return JSON.stringify({
+        interval, // ms
+        columns,
+        samples: rows.map(row => ({ timestamp: new Date(row.timestamp).toISOString(), ...row.values })),
+    }, null, 2) + "\n";
+}
+
+// let the browser save content as a file
+export function download(filename, type, content) {
+    const url = window.URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.style.display = "none";
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    // the download starts asynchronously, and needs the URL until then
+    window.setTimeout(() => window.URL.revokeObjectURL(url), 1000);
+}
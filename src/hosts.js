@@ -0,0 +1,77 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import * as machine_info from "../lib/machine-info.js";
+
+const _ = cockpit.gettext;
+
+// channel and process options for talking to host, null for the local machine
+export const hostOptions = host => host ? { host } : {};
+
+const MACHINES_FILE = "/etc/cockpit/machines.json";
+const MACHINES_DIR = "/etc/cockpit/machines.d";
+
+const readJSON = path => cockpit.file(path, { syntax: JSON }).read()
+        .catch(ex => {
+            console.warn("Failed to read", path, ex.toString());
+            return null;
+        });
+
+/* resolves to a list of { address, label } of the machines that Cockpit manages, the local one first
+ * Like the shell, this merges machines.json with the drop-in files in machines.d, in alphabetical order.
+ */
+export function listHosts() {
+    return cockpit.script("find " + MACHINES_DIR + " -maxdepth 1 -name '*.json' 2>/dev/null | sort || true", { err: "message" })
+            .then(output => Promise.all([MACHINES_FILE].concat(output.split("\n").filter(line => line))
+                    .map(readJSON)))
+            .then(contents => {
+                const machines = {};
+                contents.forEach(content => {
+                    for (const address in content || {})
+                        machines[address] = { ...machines[address], ...content[address] };
+                });
+
+                const hosts = [{ address: null, label: _("Local machine") }];
+                Object.keys(machines)
+                        .filter(address => machines[address].visible && address !== "localhost")
+                        .sort()
+                        .forEach(address => hosts.push({ address, label: machines[address].label || address }));
+                return hosts;
+            });
+}
+
+const host_info_promises = {};
+
+/* resolves to { cpus, memTotal, swapTotal } of a host (null for the local one), with memory sizes in GiB;
+ * swapTotal is undefined without swap
+ */
+export function hostInfo(host) {
+    const key = host || "";
+    if (!host_info_promises[key]) {
+        host_info_promises[key] = machine_info.cpu_ram_info(host || undefined).then(info => ({
+            cpus: info.cpus,
+            memTotal: Number((info.memory / (1024 * 1024 * 1024)).toFixed(1)),
+            swapTotal: info.swap ? Number((info.swap / (1024 * 1024 * 1024)).toFixed(1)) : undefined,
+        }));
+        // try again next time
+        host_info_promises[key].catch(() => delete host_info_promises[key]);
+    }
+    return host_info_promises[key];
+}
@@ -0,0 +1,357 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import React from 'react';
+import {
+    Alert,
+    Button,
+    Card, CardTitle, CardBody,
+    Checkbox,
+    Form, FormGroup, FormSelect, FormSelectOption,
+    Modal, ModalVariant,
+    Switch,
+    TextInput,
+} from '@patternfly/react-core';
+
+import { hostOptions } from "./hosts.js";
+
+const _ = cockpit.gettext;
+
+// our own pmie instance, so that the rules from pmieconf stay untouched
+const RULES_FILE = "/etc/pcp/pmie/cockpit-metrics.json";
+const CONFIG_FILE = "/etc/pcp/pmie/cockpit-metrics.config";
+const CONTROL_FILE = "/etc/pcp/pmie/control.d/cockpit-metrics";
+const LOG_NAME = "cockpit-metrics.log";
+// prefix of the messages in the pmie log, followed by the rule id, its limit, and the values; the text of the alert
+// gets built from that when reading the log, as pmie does not know the user's language
+const MESSAGE_PREFIX = "cockpit-metrics:";
+// how often to read fired alerts from the pmie log
+const LOG_INTERVAL = 60000; // ms
+
+/* Kinds of rules
+ * unit: of the rule's value
+ * expr: value → pmie condition
+ * description: value → text of the fired alert
+ * resource: RESOURCES type on whose history column the fired alert is marked
+ */
+export const PMIE_TEMPLATES = {
+    load: {
+        label: _("Load average"),
+        unit: "",
+        value: 4,
+        expr: value => `kernel.all.load #'1 minute' > ${value}`,
+        description: value => cockpit.format(_("Load average above $0"), value),
+        resource: "sat_cpu",
+    },
+    memory: {
+        label: _("Available memory"),
+        unit: "MiB",
+        value: 256,
+        expr: value => `mem.util.available < ${value * 1024}`, // KiB
+        description: value => cockpit.format(_("Available memory below $0 MiB"), value),
+        resource: "use_memory",
+    },
+    disk: {
+        label: _("File system usage"),
+        unit: "%",
+        value: 90,
+        expr: value => `some_inst ( 100 * filesys.used / filesys.capacity > ${value} )`,
+        description: value => cockpit.format(_("File system usage above $0%"), value),
+        resource: "use_disks",
+    },
+};
+
+/* pmie rule:
+ * id: unique identifier, usable as pmie rule name; starts with the template key
+ * template: key of PMIE_TEMPLATES; value: number in the template's unit
+ * enabled: whether it is part of the pmie config
+ */
+const newRule = () => ({ id: null, template: "load", value: PMIE_TEMPLATES.load.value, enabled: true });
+
+function pmieConfig(rules) {
+    let config = "// generated by the Cockpit metrics page, changes get overwritten\ndelta = 1 min;\n";
+    rules.filter(rule => rule.enabled).forEach(rule => {
+        const template = PMIE_TEMPLATES[rule.template];
+        // repeat the alert at most every 10 minutes while the condition holds
+        config += `\ncockpit_metrics_${rule.id} =\n    ${template.expr(rule.value)}\n` +
+                  `    -> print 10 min "${MESSAGE_PREFIX}${rule.id} ${Number(rule.value)} %v";\n`;
+    });
+    return config;
+}
+
+function pmieControl(rules) {
+    let control = "$version=1.1\n";
+    // pmie does not start without rules
+    if (rules.find(rule => rule.enabled))
+        control += `LOCALHOSTNAME n n PCP_LOG_DIR/pmie/LOCALHOSTNAME/${LOG_NAME} -c ${CONFIG_FILE}\n`;
+    return control;
+}
+
+// resolves to the list of rules on host, or null if pmie is not installed
+export function loadPmieRules(host) {
+    return cockpit.script("command -v pmie || true", { err: "message", ...hostOptions(host) })
+            .then(output => {
+                if (!output.trim())
+                    return null;
+                return cockpit.file(RULES_FILE, { syntax: JSON, ...hostOptions(host) }).read()
+                        .then(content => (content && Array.isArray(content.rules)) ? content.rules.filter(rule => PMIE_TEMPLATES[rule.template]) : []);
+            });
+}
+
+// write the rules and the generated pmie config, and (re)start pmie for them to take effect, also after booting
+export function savePmieRules(rules, host) {
+    const options = { superuser: "try", ...hostOptions(host) };
+    return cockpit.file(RULES_FILE, { syntax: JSON, ...options }).replace({ rules })
+            .then(() => cockpit.file(CONFIG_FILE, options).replace(pmieConfig(rules)))
+            .then(() => cockpit.file(CONTROL_FILE, options).replace(pmieControl(rules)))
+            .then(() => cockpit.spawn(["systemctl", "enable", "pmie.service"], { err: "message", ...options }))
+            .then(() => cockpit.spawn(["systemctl", "restart", "pmie.service"], { err: "message", ...options }));
+}
+
+// the log lines of fired rules, with their time converted to seconds since epoch
+const LOG_SCRIPT = `
+for f in /var/log/pcp/pmie/*/${LOG_NAME}*; do [ -e "$f" ] && tail -n 500 "$f"; done | grep -F '${MESSAGE_PREFIX}' |
+while IFS= read -r line; do
+    t=$(date -d "\${line%%: ${MESSAGE_PREFIX}*}" +%s) && echo "$t \${line#*${MESSAGE_PREFIX}}"
+done
+true
+`;
+
+/* resolves to the list of alerts which pmie fired on host, in the format of alerts.jsx, most recent first:
+ * { id, rule, time, text, resource }
+ */
+export function loadPmieAlerts(host) {
+    return cockpit.script(LOG_SCRIPT, { err: "message", ...hostOptions(host) })
+            .then(output => {
+                const alerts = [];
+                output.split("\n").forEach(line => {
+                    // like "1600236000 load_kf3x 4 5.2"
+                    const match = line.match(/^(\d+) (\S+) (\S+) (.*)$/);
+                    if (!match)
+                        return;
+                    const time = Number(match[1]) * 1000;
+                    // the rule might be gone by now, but its template stays
+                    const template = PMIE_TEMPLATES[match[2].split("_")[0]];
+                    if (!template)
+                        return;
+                    alerts.push({
+                        id: "pmie-" + match[2] + "-" + time,
+                        rule: match[2],
+                        time,
+                        text: cockpit.format(_("$0 ($1, pmie)"), template.description(match[3]), match[4]),
+                        resource: template.resource,
+                    });
+                });
+                return alerts.sort((a, b) => b.time - a.time);
+            });
+}
+
+/* Create or change a pmie rule
+ * rule: to edit, or null for a new one
+ * onSave: called with the rule
+ * busy, error: state of saving
+ */
+class PmieRuleDialog extends React.Component {
+    constructor(props) {
+        super(props);
+        const rule = props.rule || newRule();
+        this.state = { ...rule, value: rule.value.toString() };
+    }
+
+    render() {
+        const template = PMIE_TEMPLATES[this.state.template];
+        const valid = this.state.value.trim() !== "" && Number(this.state.value) >= 0;
+
+        return (
+            <Modal
+                id="metrics-pmie-dialog"
+                variant={ModalVariant.small}
+                title={ this.props.rule ? _("Edit pmie rule") : _("Add pmie rule") }
+                isOpen
+                onClose={this.props.onClose}
+                actions={[
+                    <Button
+                        key="save"
+                        variant="primary"
+                        isDisabled={!valid || this.props.busy}
+                        isLoading={this.props.busy}
+                        onClick={() => this.props.onSave({
+                            ...this.state,
+                            id: this.state.id || this.state.template + "_" + Date.now().toString(36),
+                            value: Number(this.state.value),
+                        })}>
+                        {_("Save")}
+                    </Button>,
+                    <Button key="cancel" variant="link" onClick={this.props.onClose}>{_("Cancel")}</Button>,
+                ]}>
+                { this.props.error && <Alert variant="danger" isInline title={this.props.error} /> }
+                <Form isHorizontal onSubmit={ e => { e.preventDefault(); return false } }>
+                    <FormGroup fieldId="metrics-pmie-template" label={_("Rule")}>
+                        <FormSelect
+                            id="metrics-pmie-template"
+                            value={this.state.template}
+                            isDisabled={!!this.props.rule}
+                            onChange={template => this.setState({ template, value: PMIE_TEMPLATES[template].value.toString() })}>
+                            { Object.keys(PMIE_TEMPLATES).map(key => <FormSelectOption key={key} value={key} label={PMIE_TEMPLATES[key].label} />) }
+                        </FormSelect>
+                    </FormGroup>
+                    <FormGroup
+                        fieldId="metrics-pmie-value"
+                        label={ template.unit ? cockpit.format(_("Limit ($0)"), template.unit) : _("Limit") }
+                        validated={ valid ? "default" : "error" }
+                        helperText={ valid ? template.description(this.state.value) : null }
+                        helperTextInvalid={_("Must be a positive number")}>
+                        <TextInput
+                            id="metrics-pmie-value"
+                            type="number"
+                            min="0"
+                            value={this.state.value}
+                            validated={ valid ? "default" : "error" }
+                            onChange={value => this.setState({ value })} />
+                    </FormGroup>
+                    <FormGroup fieldId="metrics-pmie-enabled" label={_("Enabled")}>
+                        <Checkbox
+                            id="metrics-pmie-enabled"
+                            isChecked={this.state.enabled}
+                            onChange={enabled => this.setState({ enabled })} />
+                    </FormGroup>
+                </Form>
+            </Modal>
+        );
+    }
+}
+
+/* Rules of the pmie service, which checks them even when nobody looks at this page
+ * onAlerts: called with the alerts fired by pmie, initially and whenever they got read again
+ */
+export class PmieRules extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            rules: null, // null until loaded, or when pmie is not installed
+            editing: undefined, // rule in the dialog, null for a new one
+            busy: false,
+            error: null,
+        };
+        this.log_timer = null;
+        this.unmounted = false;
+
+        this.updateAlerts = this.updateAlerts.bind(this);
+        this.handleSave = this.handleSave.bind(this);
+    }
+
+    componentDidMount() {
+        loadPmieRules(this.props.host)
+                .then(rules => {
+                    if (this.unmounted || rules === null)
+                        return;
+                    this.setState({ rules });
+                    this.updateAlerts();
+                })
+                .catch(ex => console.warn("Failed to read pmie rules:", ex.toString()));
+    }
+
+    componentWillUnmount() {
+        this.unmounted = true;
+        window.clearTimeout(this.log_timer);
+    }
+
+    updateAlerts() {
+        loadPmieAlerts(this.props.host)
+                .then(alerts => !this.unmounted && this.props.onAlerts(alerts))
+                .catch(ex => console.warn("Failed to read pmie log:", ex.toString()))
+                .then(() => {
+                    if (!this.unmounted)
+                        this.log_timer = window.setTimeout(this.updateAlerts, LOG_INTERVAL);
+                });
+    }
+
+    // saves the changed list of rules, and closes the dialog on success
+    save(rules) {
+        this.setState({ busy: true, error: null });
+        savePmieRules(rules, this.props.host)
+                .then(() => !this.unmounted && this.setState({ rules, busy: false, editing: undefined }))
+                .catch(ex => !this.unmounted && this.setState({ busy: false, error: ex.message || ex.toString() }));
+    }
+
+    handleSave(rule) {
+        const rules = this.state.rules.filter(r => r.id !== rule.id);
+        rules.push(rule);
+        this.save(rules);
+    }
+
+    render() {
+        if (this.state.rules === null)
+            return null;
+
+        const rows = this.state.rules.map(rule => (
+            <tr key={rule.id} data-rule={rule.id}>
+                <th>{ PMIE_TEMPLATES[rule.template].description(rule.value) }</th>
+                <td>
+                    <Switch
+                        id={ "metrics-pmie-" + rule.id + "-enabled" }
+                        aria-label={_("Enabled")}
+                        isChecked={rule.enabled}
+                        isDisabled={this.state.busy}
+                        onChange={enabled => this.save(this.state.rules.map(r => r.id === rule.id ? { ...r, enabled } : r))} />
+                </td>
+                <td>
+                    <Button variant="link" isInline className="metrics-pmie-edit" onClick={() => this.setState({ editing: rule })}>
+                        {_("Edit")}
+                    </Button>
+                    <Button
+                        variant="link"
+                        isInline
+                        isDanger
+                        className="metrics-pmie-remove"
+                        isDisabled={this.state.busy}
+                        onClick={() => this.save(this.state.rules.filter(r => r.id !== rule.id))}>
+                        {_("Remove")}
+                    </Button>
+                </td>
+            </tr>
+        ));
+
+        return (
+            <Card id="metrics-pmie" className="metrics-pmie">
+                <CardTitle>{_("Server-side alerts")}</CardTitle>
+                <CardBody>
+                    <p>{_("The pmie service checks these rules all the time, also when this page is closed. Its alerts are shown with the other alerts and marked in the metrics history.")}</p>
+                    { this.state.error && this.state.editing === undefined &&
+                        <Alert variant="danger" isInline title={ cockpit.format(_("Failed to change the pmie rules: $0"), this.state.error) } /> }
+                    { rows.length > 0 &&
+                        <table className="pf-c-table pf-m-compact metrics-pmie-rules" aria-label={_("pmie rules")}>
+                            <tbody>{ rows }</tbody>
+                        </table> }
+                    <Button id="metrics-pmie-add" variant="secondary" isDisabled={this.state.busy} onClick={() => this.setState({ editing: null })}>
+                        {_("Add rule")}
+                    </Button>
+                    { this.state.editing !== undefined &&
+                        <PmieRuleDialog
+                            rule={this.state.editing}
+                            busy={this.state.busy}
+                            error={this.state.error}
+                            onSave={this.handleSave}
+                            onClose={() => this.setState({ editing: undefined, error: null })} /> }
+                </CardBody>
+            </Card>
+        );
+    }
+}
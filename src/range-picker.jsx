@@ -0,0 +1,177 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import React from 'react';
+import moment from "moment";
+import {
+    ActionGroup,
+    Button,
+    Form, FormGroup,
+    Popover,
+    TextInput,
+} from '@patternfly/react-core';
+
+const _ = cockpit.gettext;
+
+const DATE_FORMAT = "YYYY-MM-DD";
+const TIME_FORMAT = "HH:mm";
+
+// "Today" if range is from today midnight until now, otherwise a description of start and end
+export const rangeLabel = (start, end, today_midnight) => {
+    if (start === today_midnight && !end)
+        return _("Today");
+    const format = t => moment(t).format("ddd ll LT");
+    return cockpit.format("$0 – $1", format(start), end ? format(end) : _("now"));
+};
+
+/* Pick a start and end date and time; end can be left empty for "until now".
+ * availableDays: Set of YYYY-MM-DD dates which have archive data, or null if unknown
+ */
+export class RangePicker extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = {
+            isOpen: false,
+            startDate: "",
+            startTime: "",
+            endDate: "",
+            endTime: "",
+        };
+
+        this.onToggle = this.onToggle.bind(this);
+        this.onApply = this.onApply.bind(this);
+        this.onToday = this.onToday.bind(this);
+    }
+
+    onToggle() {
+        if (this.state.isOpen) {
+            this.setState({ isOpen: false });
+            return;
+        }
+
+        // initialize the form from the current range
+        const start = moment(this.props.start);
+        const end = this.props.end ? moment(this.props.end) : null;
+        this.setState({
+            isOpen: true,
+            startDate: start.format(DATE_FORMAT),
+            startTime: start.format(TIME_FORMAT),
+            endDate: end ? end.format(DATE_FORMAT) : "",
+            endTime: end ? end.format(TIME_FORMAT) : "",
+        });
+    }
+
+    // returns timestamp, null for empty date, or NaN for invalid input
+    parse(date, time) {
+        if (!date)
+            return null;
+        const m = moment(date + " " + (time || "00:00"), DATE_FORMAT + " " + TIME_FORMAT, true);
+        return m.isValid() ? m.valueOf() : NaN;
+    }
+
+    validateDate(date) {
+        if (!date)
+            return null;
+        if (this.props.availableDays && !this.props.availableDays.has(date))
+            return _("No archive data for this date");
+        return null;
+    }
+
+    onApply() {
+        this.setState({ isOpen: false });
+        this.props.onChange(this.parse(this.state.startDate, this.state.startTime),
+                            this.parse(this.state.endDate, this.state.endTime));
+    }
+
+    onToday() {
+        this.setState({ isOpen: false });
+        this.props.onChange(this.props.today_midnight, null);
+    }
+
+    render() {
+        const start = this.parse(this.state.startDate, this.state.startTime);
+        const end = this.parse(this.state.endDate, this.state.endTime);
+
+        const startError = start === null
+            ? _("Start date is required")
+            : (isNaN(start) ? _("Invalid date or time") : this.validateDate(this.state.startDate));
+        let endError = isNaN(end) ? _("Invalid date or time") : this.validateDate(this.state.endDate);
+        if (!endError && start && end && end <= start)
+            endError = _("End must be after start");
+
+        const days = this.props.availableDays ? Array.from(this.props.availableDays).sort() : [];
+        const min = days.length > 0 ? days[0] : undefined;
+        const max = days.length > 0 ? days[days.length - 1] : undefined;
+
+        const dateTimeGroup = (id, label, date, time, error, dateKey, timeKey, helperText) => (
+            <FormGroup
+                label={label}
+                fieldId={id + "-date"}
+                helperText={helperText}
+                validated={error ? "error" : "default"}
+                helperTextInvalid={error}>
+                <div className="metrics-range-datetime">
+                    <TextInput
+                        id={id + "-date"}
+                        type="date"
+                        min={min} max={max}
+                        value={date}
+                        validated={error ? "error" : "default"}
+                        onChange={value => this.setState({ [dateKey]: value })} />
+                    <TextInput
+                        id={id + "-time"}
+                        type="time"
+                        aria-label={ cockpit.format(_("$0 time"), label) }
+                        value={time}
+                        onChange={value => this.setState({ [timeKey]: value })} />
+                </div>
+            </FormGroup>
+        );
+
+        const body = (
+            <Form className="metrics-range-form" onSubmit={ e => { e.preventDefault(); return false } }>
+                { dateTimeGroup("metrics-range-start", _("Start"), this.state.startDate, this.state.startTime, startError, "startDate", "startTime") }
+                { dateTimeGroup("metrics-range-end", _("End"), this.state.endDate, this.state.endTime, endError, "endDate", "endTime",
+                                _("Leave empty to keep following new data")) }
+                <ActionGroup>
+                    <Button id="metrics-range-apply" variant="primary" isDisabled={ !!(startError || endError) } onClick={this.onApply}>
+                        {_("Apply")}
+                    </Button>
+                    <Button id="metrics-range-today" variant="link" onClick={this.onToday}>{_("Today")}</Button>
+                </ActionGroup>
+            </Form>
+        );
+
+        return (
+            <Popover
+                className="metrics-range-popover"
+                aria-label={_("Time range")}
+                headerContent={_("Time range")}
+                bodyContent={body}
+                isVisible={this.state.isOpen}
+                shouldClose={() => this.setState({ isOpen: false })}
+                position="bottom">
+                <Button id="date-picker-select-toggle" variant="secondary" className="select-min" onClick={this.onToggle}>
+                    { rangeLabel(this.props.start, this.props.end, this.props.today_midnight) }
+                </Button>
+            </Popover>
+        );
+    }
+}
@@ -0,0 +1,145 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import React from 'react';
+import {
+    Button,
+    Checkbox,
+    Modal, ModalVariant,
+    TextInput,
+} from '@patternfly/react-core';
+
+const _ = cockpit.gettext;
+
+/* Graph scaling of an unbounded resource:
+ * log: logarithmic instead of linear scale
+ * max: fixed maximum in the resource's chart unit (like B/s), or null for scaling to the shown data
+ */
+export const DEFAULT_SCALING = { log: false, max: null };
+
+const storageKey = host => "metrics-scaling:" + (host || cockpit.transport.host);
+
+// returns resource type → scaling for all given types, stored per host
+export function loadScaling(types, host) {
+    let stored = {};
+    try {
+        stored = JSON.parse(window.localStorage.getItem(storageKey(host))) || {};
+    } catch (ex) {
+        console.warn("Ignoring invalid stored scaling:", ex.toString());
+    }
+
+    const scaling = {};
+    types.forEach(type => { scaling[type] = { ...DEFAULT_SCALING, ...stored[type] } });
+    return scaling;
+}
+
+export function saveScaling(scaling, host) {
+    window.localStorage.setItem(storageKey(host), JSON.stringify(scaling));
+}
+
+/* Choose logarithmic scale and fixed maximums of unbounded resources
+ * resources: type → { name, unit: label of the maximum field, factor: chart units per field unit }
+ */
+export class ScalingDialog extends React.Component {
+    constructor(props) {
+        super(props);
+        // type → { log, max } with max as text field value
+        const fields = {};
+        for (const type in props.scaling) {
+            const s = props.scaling[type];
+            fields[type] = { log: s.log, max: s.max === null ? "" : (s.max / props.resources[type].factor).toString() };
+        }
+        this.state = { fields };
+        this.onSave = this.onSave.bind(this);
+    }
+
+    setField(type, key, value) {
+        this.setState(prevState => ({ fields: { ...prevState.fields, [type]: { ...prevState.fields[type], [key]: value } } }));
+    }
+
+    isValid(type) {
+        const text = this.state.fields[type].max.trim();
+        return text === "" || Number(text) > 0;
+    }
+
+    onSave() {
+        const scaling = {};
+        for (const type in this.state.fields) {
+            const { log, max } = this.state.fields[type];
+            scaling[type] = { log, max: max.trim() === "" ? null : Number(max) * this.props.resources[type].factor };
+        }
+        this.props.onSave(scaling);
+    }
+
+    render() {
+        const types = Object.keys(this.state.fields);
+
+        return (
+            <Modal
+                id="metrics-scaling-dialog"
+                variant={ModalVariant.medium}
+                title={_("Graph scaling")}
+                description={_("Unbounded values are scaled to the biggest value in the shown hours. Set a fixed maximum, like the link speed of a network interface, to compare hours with each other.")}
+                isOpen
+                onClose={this.props.onClose}
+                actions={[
+                    <Button key="save" variant="primary" isDisabled={!types.every(type => this.isValid(type))} onClick={this.onSave}>{_("Save")}</Button>,
+                    <Button key="cancel" variant="link" onClick={this.props.onClose}>{_("Cancel")}</Button>,
+                ]}>
+                <table className="pf-c-table pf-m-compact metrics-scaling">
+                    <thead>
+                        <tr>
+                            <th>{_("Resource")}</th>
+                            <th>{_("Logarithmic")}</th>
+                            <th>{_("Fixed maximum")}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        { types.map(type => (
+                            <tr key={type} data-resource={type}>
+                                <th>{this.props.resources[type].name}</th>
+                                <td>
+                                    <Checkbox
+                                        id={ "scaling-" + type + "-log" }
+                                        aria-label={ cockpit.format(_("$0: logarithmic"), this.props.resources[type].name) }
+                                        isChecked={this.state.fields[type].log}
+                                        onChange={log => this.setField(type, "log", log)} />
+                                </td>
+                                <td>
+                                    <div className="metrics-scaling-max">
+                                        <TextInput
+                                            id={ "scaling-" + type + "-max" }
+                                            type="number"
+                                            min="0"
+                                            placeholder={_("Automatic")}
+                                            aria-label={ cockpit.format(_("$0: fixed maximum"), this.props.resources[type].name) }
+                                            value={this.state.fields[type].max}
+                                            validated={ this.isValid(type) ? "default" : "error" }
+                                            onChange={max => this.setField(type, "max", max)} />
+                                        <span>{this.props.resources[type].unit}</span>
+                                    </div>
+                                </td>
+                            </tr>)) }
+                    </tbody>
+                </table>
+            </Modal>
+        );
+    }
+}
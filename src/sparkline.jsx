@@ -0,0 +1,86 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import React from 'react';
+
+// SVG coordinate system; stretched to the element size
+const WIDTH = 100;
+const HEIGHT = 20;
+
+/* Small area graph of recent values
+ * points: [{ timestamp, value, label }] in ascending time order; label is shown when hovering
+ * duration: ms of the time span to show, up to the most recent point
+ * max: value at the top of the graph; if not given, scale to the biggest value
+ */
+export class Sparkline extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { hover: null }; // index of the point under the mouse
+
+        this.onMouseMove = this.onMouseMove.bind(this);
+    }
+
+    x(point) {
+        const points = this.props.points;
+        const end = points[points.length - 1].timestamp;
+        return Math.max(0, WIDTH - (end - point.timestamp) / this.props.duration * WIDTH);
+    }
+
+    onMouseMove(ev) {
+        const points = this.props.points;
+        if (points.length === 0)
+            return;
+        const bounds = ev.currentTarget.getBoundingClientRect();
+        const x = (ev.clientX - bounds.left) / bounds.width * WIDTH;
+        // closest point
+        let hover = 0;
+        points.forEach((point, i) => {
+            if (Math.abs(this.x(point) - x) < Math.abs(this.x(points[hover]) - x))
+                hover = i;
+        });
+        this.setState({ hover });
+    }
+
+    render() {
+        const points = this.props.points;
+        if (points.length === 0)
+            return <div id={this.props.id} className="sparkline" />;
+
+        const max = this.props.max || Math.max(...points.map(p => p.value)) || 1;
+        const y = point => HEIGHT - Math.min(point.value / max, 1) * HEIGHT;
+        const line = points.map(point => this.x(point) + "," + y(point)).join(" ");
+        const hovered = this.state.hover !== null ? points[this.state.hover] : null;
+
+        return (
+            <div
+                id={this.props.id}
+                className="sparkline"
+                title={hovered ? hovered.label : undefined}
+                onMouseMove={this.onMouseMove}
+                onMouseLeave={() => this.setState({ hover: null })}
+                aria-hidden="true">
+                <svg xmlns="http://www.w3.org/2000/svg" viewBox={ "0 0 " + WIDTH + " " + HEIGHT } preserveAspectRatio="none">
+                    <polygon points={ this.x(points[0]) + "," + HEIGHT + " " + line + " " + WIDTH + "," + HEIGHT } />
+                    <polyline points={line} vectorEffect="non-scaling-stroke" />
+                    { hovered && <line className="sparkline-hover" x1={this.x(hovered)} x2={this.x(hovered)} y1="0" y2={HEIGHT} vectorEffect="non-scaling-stroke" /> }
+                </svg>
+            </div>
+        );
+    }
+}
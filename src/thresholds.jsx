@@ -0,0 +1,208 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import React from 'react';
+import {
+    Button,
+    Form, FormGroup, FormSelect, FormSelectOption,
+    Modal, ModalVariant,
+    TextInput,
+} from '@patternfly/react-core';
+
+const _ = cockpit.gettext;
+
+/* Spike detection rules for a resource, on normalized (0..1) values:
+ * slope: minimum increase between two samples, or null to disable
+ * level: crossing this from below is a spike, or null to disable
+ * duration: seconds that the value needs to stay up after the spike
+ */
+export const DEFAULT_THRESHOLD = { slope: 0.25, level: 0.8, duration: 0 };
+
+/* Statistical anomaly detection, in addition to the thresholds:
+ * mode: "off", "moving" (previous hour), or "daily" (same hour on previous days)
+ * deviations: number of standard deviations from the baseline mean
+ */
+export const DEFAULT_ANOMALY = { mode: "off", deviations: 3 };
+
+const storageKey = host => "metrics-thresholds:" + (host || cockpit.transport.host);
+const anomalyStorageKey = host => "metrics-anomaly:" + (host || cockpit.transport.host);
+
+// returns resource type → threshold for all given types, stored per host
+export function loadThresholds(types, host) {
+    let stored = {};
+    try {
+        stored = JSON.parse(window.localStorage.getItem(storageKey(host))) || {};
+    } catch (ex) {
+        console.warn("Ignoring invalid stored thresholds:", ex.toString());
+    }
+
+    const thresholds = {};
+    types.forEach(type => { thresholds[type] = { ...DEFAULT_THRESHOLD, ...stored[type] } });
+    return thresholds;
+}
+
+export function saveThresholds(thresholds, host) {
+    window.localStorage.setItem(storageKey(host), JSON.stringify(thresholds));
+}
+
+export function loadAnomaly(host) {
+    try {
+        return { ...DEFAULT_ANOMALY, ...JSON.parse(window.localStorage.getItem(anomalyStorageKey(host))) };
+    } catch (ex) {
+        console.warn("Ignoring invalid stored anomaly detection settings:", ex.toString());
+        return { ...DEFAULT_ANOMALY };
+    }
+}
+
+export function saveAnomaly(anomaly, host) {
+    window.localStorage.setItem(anomalyStorageKey(host), JSON.stringify(anomaly));
+}
+
+// percentage text field ↔ normalized value; empty means disabled
+const toPercent = value => value === null ? "" : Math.round(value * 100).toString();
+const fromPercent = text => text.trim() === "" ? null : Number(text) / 100;
+
+/* Edit spike detection thresholds of all resources
+ * resources: type → display name
+ */
+export class ThresholdsDialog extends React.Component {
+    constructor(props) {
+        super(props);
+        // type → { slope, level, duration } as text field values
+        const fields = {};
+        for (const type in props.thresholds) {
+            const t = props.thresholds[type];
+            fields[type] = { slope: toPercent(t.slope), level: toPercent(t.level), duration: t.duration.toString() };
+        }
+        this.state = {
+            fields,
+            anomalyMode: props.anomaly.mode,
+            anomalyDeviations: props.anomaly.deviations.toString(),
+        };
+        this.onSave = this.onSave.bind(this);
+        this.onReset = this.onReset.bind(this);
+    }
+
+    setField(type, key, value) {
+        this.setState(prevState => ({ fields: { ...prevState.fields, [type]: { ...prevState.fields[type], [key]: value } } }));
+    }
+
+    isValid(type, key) {
+        const text = this.state.fields[type][key].trim();
+        if (key === "duration")
+            return text !== "" && Number(text) >= 0;
+        return text === "" || (Number(text) > 0 && Number(text) <= 100);
+    }
+
+    onReset() {
+        const fields = {};
+        for (const type in this.state.fields)
+            fields[type] = { slope: toPercent(DEFAULT_THRESHOLD.slope), level: toPercent(DEFAULT_THRESHOLD.level), duration: DEFAULT_THRESHOLD.duration.toString() };
+        this.setState({ fields, anomalyMode: DEFAULT_ANOMALY.mode, anomalyDeviations: DEFAULT_ANOMALY.deviations.toString() });
+    }
+
+    onSave() {
+        const thresholds = {};
+        for (const type in this.state.fields) {
+            const f = this.state.fields[type];
+            thresholds[type] = { slope: fromPercent(f.slope), level: fromPercent(f.level), duration: Number(f.duration) };
+        }
+        this.props.onSave(thresholds, { mode: this.state.anomalyMode, deviations: Number(this.state.anomalyDeviations) });
+    }
+
+    render() {
+        const types = Object.keys(this.state.fields);
+        const deviationsValid = Number(this.state.anomalyDeviations) > 0;
+        const valid = deviationsValid && types.every(type => ["slope", "level", "duration"].every(key => this.isValid(type, key)));
+
+        const field = (type, key, label) => (
+            <TextInput
+                id={ "threshold-" + type + "-" + key }
+                type="number"
+                min="0"
+                aria-label={ cockpit.format("$0: $1", this.props.resources[type], label) }
+                value={this.state.fields[type][key]}
+                validated={ this.isValid(type, key) ? "default" : "error" }
+                onChange={value => this.setField(type, key, value)} />
+        );
+
+        return (
+            <Modal
+                id="metrics-thresholds-dialog"
+                variant={ModalVariant.medium}
+                title={_("Event thresholds")}
+                description={_("A spike event is shown when a value rises by more than the slope between two samples, or crosses the level. Leave slope or level empty to disable that rule.")}
+                isOpen
+                onClose={this.props.onClose}
+                actions={[
+                    <Button key="save" variant="primary" isDisabled={!valid} onClick={this.onSave}>{_("Save")}</Button>,
+                    <Button key="reset" variant="secondary" onClick={this.onReset}>{_("Reset to defaults")}</Button>,
+                    <Button key="cancel" variant="link" onClick={this.props.onClose}>{_("Cancel")}</Button>,
+                ]}>
+                <table className="pf-c-table pf-m-compact metrics-thresholds">
+                    <thead>
+                        <tr>
+                            <th>{_("Resource")}</th>
+                            <th>{_("Slope (%)")}</th>
+                            <th>{_("Level (%)")}</th>
+                            <th>{_("Minimum duration (s)")}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        { types.map(type => (
+                            <tr key={type} data-resource={type}>
+                                <th>{this.props.resources[type]}</th>
+                                <td>{ field(type, "slope", _("Slope (%)")) }</td>
+                                <td>{ field(type, "level", _("Level (%)")) }</td>
+                                <td>{ field(type, "duration", _("Minimum duration (s)")) }</td>
+                            </tr>)) }
+                    </tbody>
+                </table>
+                <Form isHorizontal className="metrics-anomaly">
+                    <FormGroup
+                        label={_("Anomaly detection")}
+                        fieldId="metrics-anomaly-mode"
+                        helperText={_("Also show events for minutes whose average deviates from a baseline by more than the given number of standard deviations.")}>
+                        <FormSelect id="metrics-anomaly-mode" value={this.state.anomalyMode} onChange={anomalyMode => this.setState({ anomalyMode })}>
+                            <FormSelectOption value="off" label={_("Off")} />
+                            <FormSelectOption value="moving" label={_("Compared to the previous hour")} />
+                            <FormSelectOption value="daily" label={_("Compared to the same hour on previous days")} />
+                        </FormSelect>
+                    </FormGroup>
+                    <FormGroup
+                        label={_("Standard deviations")}
+                        fieldId="metrics-anomaly-deviations"
+                        validated={ deviationsValid ? "default" : "error" }
+                        helperTextInvalid={_("Must be a positive number")}>
+                        <TextInput
+                            id="metrics-anomaly-deviations"
+                            type="number"
+                            min="0"
+                            step="0.5"
+                            isDisabled={this.state.anomalyMode === "off"}
+                            value={this.state.anomalyDeviations}
+                            validated={ deviationsValid ? "default" : "error" }
+                            onChange={anomalyDeviations => this.setState({ anomalyDeviations })} />
+                    </FormGroup>
+                </Form>
+            </Modal>
+        );
+    }
+}
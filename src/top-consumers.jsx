@@ -0,0 +1,222 @@
+/*
+ * This file is part of Cockpit.
+ *
+ * Copyright (C) 2020 Red Hat, Inc.
+ *
+ * Cockpit is free software; you can redistribute it and/or modify it
+ * under the terms of the GNU Lesser General Public License as published by
+ * the Free Software Foundation; either version 2.1 of the License, or
+ * (at your option) any later version.
+ *
+ * Cockpit is distributed in the hope that it will be useful, but
+ * WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the GNU
+ * Lesser General Public License for more details.
+ *
+ * You should have received a copy of the GNU Lesser General Public License
+ * along with Cockpit; If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import cockpit from 'cockpit';
+import React from 'react';
+import moment from "moment";
+import { Button, Popover, Spinner } from '@patternfly/react-core';
+import {
+    Table, TableHeader, TableBody, TableGridBreakpoint, TableVariant, TableText,
+    SortByDirection, cellWidth, sortable,
+} from '@patternfly/react-table';
+
+const _ = cockpit.gettext;
+
+/* Kinds of control groups, for filtering the tables
+ * label: for the filter selection
+ * column: heading of the name column
+ * top: resource → table label, with $0 for the number of rows, like "Top 5 CPU services"
+ */
+export const CGROUP_TYPES = {
+    service: {
+        label: _("Services"),
+        column: _("Service"),
+        top: { cpu: _("Top $0 CPU services"), memory: _("Top $0 memory services"), disks: _("Top $0 disk I/O services") },
+    },
+    container: {
+        label: _("Containers and VMs"),
+        column: _("Container"),
+        top: { cpu: _("Top $0 CPU containers"), memory: _("Top $0 memory containers"), disks: _("Top $0 disk I/O containers") },
+    },
+    scope: {
+        label: _("Scopes"),
+        column: _("Scope"),
+        top: { cpu: _("Top $0 CPU scopes"), memory: _("Top $0 memory scopes"), disks: _("Top $0 disk I/O scopes") },
+    },
+    slice: {
+        label: _("Slices"),
+        column: _("Slice"),
+        top: { cpu: _("Top $0 CPU slices"), memory: _("Top $0 memory slices"), disks: _("Top $0 disk I/O slices") },
+    },
+    all: {
+        label: _("All"),
+        column: _("Control group"),
+        top: { cpu: _("Top $0 CPU control groups"), memory: _("Top $0 memory control groups"), disks: _("Top $0 disk I/O control groups") },
+    },
+};
+
+export const TOP_COUNTS = [5, 10, 20];
+
+// cgroup path (like "system.slice/foo.service" or "/machine.slice/libpod-1234.scope") → key of CGROUP_TYPES,
+// or null for the root cgroup and other ones that don't belong to a systemd unit
+export function cgroupType(path) {
+    const name = path.replace(/.*\//, '');
+    if (/^(libpod|docker|crio)-/.test(name) || /^\/?machine\.slice\/./.test(path))
+        return "container";
+    const match = name.match(/\.(service|scope|slice)$/);
+    return match ? match[1] : null;
+}
+
+// cgroup basename, without the redundant .service suffix
+const cgroupName = path => path.replace(/.*\//, '').replace(/\.service$/, '');
+
+/* Table of the control groups with the biggest values
+ * label: accessible table label
+ * consumers: [{ cgroup: path, values: [number, …] }], ranked by the sum of their values
+ * columns: [{ title, format: value → string }] for the values
+ * type: key of CGROUP_TYPES
+ * limit: maximum number of rows
+ */
+export class TopConsumersTable extends React.Component {
+    constructor(props) {
+        super(props);
+        // display order; index 0 is the name column
+        this.state = { sortBy: { index: 1, direction: SortByDirection.desc } };
+        this.onSort = this.onSort.bind(this);
+    }
+
+    onSort(event, index, direction) {
+        this.setState({ sortBy: { index, direction } });
+    }
+
+    render() {
+        const { label, consumers, columns, type, limit } = this.props;
+        const rank = consumer => consumer.values.reduce((acc, cur) => acc + cur, 0);
+
+        const top = consumers
+                .filter(c => rank(c) > 0 && (type === "all" ? cgroupType(c.cgroup) !== null : cgroupType(c.cgroup) === type))
+                .sort((a, b) => rank(b) - rank(a))
+                .slice(0, limit);
+        if (top.length === 0)
+            return null;
+
+        const { index, direction } = this.state.sortBy;
+        top.sort(index === 0
+            ? (a, b) => cgroupName(a.cgroup).localeCompare(cgroupName(b.cgroup))
+            : (a, b) => a.values[index - 1] - b.values[index - 1]);
+        if (direction === SortByDirection.desc)
+            top.reverse();
+
+        const rows = top.map(({ cgroup, values }) => {
+            const name = cgroupName(cgroup);
+            let name_text = <TableText wrapModifier="truncate">{name}</TableText>;
+            if (cgroupType(cgroup) === "service")
+                name_text = <a key={name} href="#" onClick={ () => cockpit.jump("/system/services#/" + name + ".service") }>{name_text}</a>;
+            return {
+                cells: [
+                    { title: name_text },
+                    ...columns.map((column, i) => ({ title: <TableText wrapModifier="nowrap">{column.format(values[i])}</TableText> })),
+                ]
+            };
+        });
+
+        return (
+            <Table
+                variant={TableVariant.compact}
+                gridBreakPoint={TableGridBreakpoint.none}
+                borders={false}
+                aria-label={label}
+                sortBy={this.state.sortBy}
+                onSort={this.onSort}
+                cells={ [
+                    { title: CGROUP_TYPES[type].column, transforms: [cellWidth(columns.length > 1 ? 50 : 80), sortable] },
+                    ...columns.map(column => ({ title: column.title, transforms: [sortable] })),
+                ] }
+                rows={rows}>
+                <TableHeader />
+                <TableBody />
+            </Table>
+        );
+    }
+}
+
+/* Load and show the top CPU and memory consumers of a minute in the history
+ * time: start of the minute
+ * load: time → promise for { cpu: consumers, memory: consumers } like for TopConsumersTable, with CPU in µs/s
+ * cpus: number of CPUs, for CPU percentages
+ */
+class HistoryTopConsumers extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { loading: true, error: null, cpu: [], memory: [] };
+    }
+
+    componentDidMount() {
+        this.props.load(this.props.time)
+                .then(({ cpu, memory }) => !this.unmounted && this.setState({ loading: false, cpu, memory }))
+                .catch(ex => !this.unmounted && this.setState({ loading: false, error: ex.toString() }));
+    }
+
+    componentWillUnmount() {
+        this.unmounted = true;
+    }
+
+    render() {
+        if (this.state.loading)
+            return <Spinner size="lg" />;
+        if (this.state.error)
+            return <p className="metrics-consumers-error">{ _("Per-service metrics were not recorded at this time. Configure pmlogger to log the cgroup metrics to see them.") }</p>;
+        if (this.state.cpu.length === 0 && this.state.memory.length === 0)
+            return <p>{ _("No data available") }</p>;
+
+        const limit = TOP_COUNTS[0];
+        const label = resource => cockpit.format(CGROUP_TYPES.service.top[resource], limit);
+        return (
+            <>
+                <TopConsumersTable
+                    label={ label("cpu") }
+                    consumers={this.state.cpu}
+                    columns={ [{ title: "%", format: v => Number(v / 10000 / this.props.cpus).toFixed(1) }] } // µs/s → percent
+                    type="service"
+                    limit={limit} />
+                <TopConsumersTable
+                    label={ label("memory") }
+                    consumers={this.state.memory}
+                    columns={ [{ title: _("Used"), format: v => cockpit.format_bytes(v, 1000) }] }
+                    type="service"
+                    limit={limit} />
+            </>
+        );
+    }
+}
+
+// "Top consumers" button for a minute in the history, with a popover that loads the data when opening
+export class TopConsumersPopover extends React.Component {
+    constructor(props) {
+        super(props);
+        this.state = { isOpen: false };
+    }
+
+    render() {
+        return (
+            <Popover
+                className="metrics-consumers-popover"
+                aria-label={_("Top consumers")}
+                headerContent={ cockpit.format(_("Top consumers at $0"), moment(this.props.time).format("LT")) }
+                bodyContent={ this.state.isOpen && <HistoryTopConsumers time={this.props.time} load={this.props.load} cpus={this.props.cpus} /> }
+                isVisible={this.state.isOpen}
+                shouldClose={() => this.setState({ isOpen: false })}
+                position="right">
+                <Button variant="link" isInline className="metrics-consumers-button" onClick={() => this.setState(prev => ({ isOpen: !prev.isOpen }))}>
+                    { _("Top consumers") }
+                </Button>
+            </Popover>
+        );
+    }
+}